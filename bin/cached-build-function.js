@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+require = require('esm')(module)
+const runCli = require('../lib/cli/run-cli').default
+
+runCli(process.argv.slice(2), process).then(exitCode => {
+  process.exitCode = exitCode
+}, error => {
+  console.error(error.stack)
+  process.exit(1)
+})
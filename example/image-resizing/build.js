@@ -2,27 +2,24 @@ import CachedBuildFunction from 'cached-build-function'
 import { copyFile, ensureDir, readdir, remove } from 'fs-extra'
 import sharp from 'sharp'
 import os from 'os'
-import pLimit from 'p-limit'
-
-const limit = pLimit(os.cpus().length * 4) // Concurrency limit
 
 class ResizeImage extends CachedBuildFunction {
   static get version () { return 1 }
 
+  static get concurrency () { return os.cpus().length * 4 }
+
   static cacheKey (srcFile, dstFile, { maxWidth, maxHeight }) {
     return [srcFile, maxWidth, maxHeight]
   }
 
-  static run (srcFile, dstFile, { maxWidth, maxHeight }) {
-    return limit(async () => {
-      const { width, height } = await sharp(this.observe(srcFile))
-        .resize(maxWidth, maxHeight).max()
-        .toFile(this.cachePath('resized-image'))
+  static async run (srcFile, dstFile, { maxWidth, maxHeight }) {
+    const { width, height } = await sharp(this.observe(srcFile))
+      .resize(maxWidth, maxHeight).max()
+      .toFile(this.cachePath('resized-image'))
 
-      console.log(`Resized "${srcFile}"`)
+    console.log(`Resized "${srcFile}"`)
 
-      return { width, height  }
-    })
+    return { width, height  }
   }
 
   static async after (srcFile, dstFile, { maxWidth, maxHeight }) {
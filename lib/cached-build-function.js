@@ -1,17 +1,52 @@
-import { ensureDir, readdir, readFile, remove } from 'fs-extra'
-import writeFileAtomic from 'write-file-atomic'
-import { join } from 'path'
 import EventEmitter from 'events'
-import fileFingerprint from './utils/file-fingerprint'
+import fileFingerprint, { FINGERPRINT_STRATEGIES }
+  from './utils/file-fingerprint'
+import listFileSet from './utils/list-file-set'
+import artifactChecksum from './utils/artifact-checksum'
+import detectChanges from './utils/detect-changes'
+import verifyArtifacts from './utils/verify-artifacts'
+import selectEvictedEntries from './utils/select-evicted-entries'
+import watchPaths from './utils/watch-paths'
+import packageVersion from './utils/package-version'
+import valueFingerprint from './utils/value-fingerprint'
+import autoVersion, { callerFile } from './utils/auto-version'
+import isNotFoundError from './utils/is-not-found-error'
 import sha1 from './utils/sha1'
+import Limiter from './utils/limiter'
 import serializeResult from './serialization/serialize-result'
+import encodeCacheKey, { FileContent, fingerprintFiles }
+  from './serialization/encode-cache-key'
 import deserializeResult from './serialization/deserialize-result'
+import FileSystemStorage from './storage/file-system-storage'
+import MemoryStorage from './storage/memory-storage'
+import TimeoutError from './errors/timeout-error'
+import AbortError from './errors/abort-error'
+import abortable, { anySignal, createAbortController }
+  from './utils/abortable'
+import Scheduler from './scheduling/scheduler'
+import flushQueue from './scheduling/flush-queue'
 
 /**
  * @module cached-build-function
  */
 
-const LIBRARY_VERSION = 7
+const LIBRARY_VERSION = 10
+
+// Maps classes to their versions if they're derived automatically
+const autoVersions = new WeakMap()
+
+// Static properties that `CachedBuildFunction.create()` defines on the class.
+// The other options are passed to the constructor.
+const STATIC_PROPERTY_NAMES = [
+  'version', 'run', 'after', 'cacheKey', 'outputConsistency', 'codecs',
+  'cacheErrors', 'maxAge', 'errorMaxAge', 'retries', 'retryDelay',
+  'isTransientError', 'timeout', 'metadata', 'filename'
+]
+
+const TRANSIENT_ERROR_CODES = [
+  'EAGAIN', 'EBUSY', 'ECONNRESET', 'EMFILE', 'ENFILE', 'ENOMEM', 'EPIPE',
+  'ETIMEDOUT'
+]
 
 /**
  * The `CachedBuildFunction` class is abstract. To use it, you need to create
@@ -37,15 +72,23 @@ const LIBRARY_VERSION = 7
  * fetched from the cache or has been calculated by the `run()` function.
  *
  * For consistency, the `value` or `reason` to which the promise settles
- * always looks like it comes from the cache, i.e. values are deserialized from
- * JSON even they were just created by the `run()` function.
+ * always looks like it comes from the cache, i.e. values are deserialized
+ * even they were just created by the `run()` function.
  *
  * Furthermore, the returned promise has some extra properties:
  * - `eventEmitter` EventEmitter that fires the following events:
  *   - `'checkedCache'`: Fired after the cache check has completed. Its
- *     data is an object with a `cacheHit` boolean property
+ *     data is an object with a `cacheHit` boolean property and, in case of
+ *     a cache miss, a `missReason` property (see `explain()`)
  *   - `'cacheHit'`: Fired in case of a cache hit
  *   - `'cacheMiss'`: Fired in case of a cache miss
+ *   - `'started'`: Fired when `run()` is called (once, even if it's retried)
+ *   - `'corruptEntry'`: Fired if the cache entry is unreadable or if one of
+ *     its files or folders (see `this.cachePath()`) is missing or has been
+ *     modified. The entry is treated as a cache miss. Its data is an object
+ *     with a `reason` property (`'unreadable'`, `'artifactMissing'` or
+ *     `'artifactModified'`) and, if applicable, an `error` or `artifact`
+ *     property
  * - `on()`: Calls `eventEmitter.on()` and is chainable. This means you can do
  *   this:
  *   ```javascript
@@ -63,6 +106,15 @@ class CachedBuildFunction extends Function () {
    * that previously created cache entries, which are now outdated, are not used
    * to produce the output. You can set the `version` to `Math.random()` if you
    * want to temporarily disable caching during development.
+   *
+   * Alternatively, you can set it to `'auto'`. Then, the version is derived
+   * from the source code of `run()`, `after()` and `cacheKey()` and from the
+   * content of the local modules (i.e. modules imported through relative
+   * paths) that they use. The modules are found through the imports of the
+   * file that defines the class (see the static `filename` property) and
+   * their own local imports. Changes to anything else, like installed
+   * packages or functions defined outside of the class in the same file,
+   * aren't detected.
    * @abstract
    * @return {string|number}
    */
@@ -75,24 +127,76 @@ class CachedBuildFunction extends Function () {
    * The static `run()` method is used to produce the output whenever
    * no valid cache entry can be found. It is called with the arguments that
    * the `CachedBuildFunction` was called with. The return value of this
-   * function must be serializable (and deserializable) to (and from) JSON
-   * because it is written to the cache on disk. If the function throws an error
-   * during execution, the error will also be serialized and cached. The
+   * function must be serializable because it is written to the cache on disk.
+   * Besides the values that JSON supports, `undefined`, `NaN`, `Infinity`,
+   * `BigInt`, `Buffer`, typed arrays, `ArrayBuffer`, `Date`, `RegExp`, `Map`
+   * and `Set` are supported. For other types, you can register codecs (see
+   * the static `codecs` property). If the function throws an error
+   * during execution, the error will also be serialized and cached (see the
+   * static `cacheErrors` property). The
    * `this` inside the function is special and has the following methods:
    * - `this.observe(path)`: You should call this function on any file paths
    *   that you're reading from. This ensures that the cached output is only
    *   valid as long as none of the observed files have changed. Whenever a
    *   cache entry is found, `CachedBuildFunction` checks whether all observed
    *   files remain unchanged before it decides to use the cache entry. It
-   *   does so by comparing the file size and creation and modification
-   *   timestamps. For convenience, `observe()` returns its input. It won't
-   *   throw an error if it can't find the file.
+   *   does so by comparing the file fingerprints (see the static
+   *   `fingerprint` property). For convenience, `observe()` returns its
+   *   input. It won't throw an error if it can't find the file. Instead, the
+   *   file is recorded as absent and the cache entry becomes invalid as soon
+   *   as the file is created. This is useful if you probe several candidate
+   *   locations, e.g. `foo.local.json` before `foo.json`.
+   * - `this.observeDir(path)`: Like `observe()`, but for all files inside a
+   *   directory (including its subdirectories). The cache entry becomes
+   *   invalid if a file inside the directory is added, removed or modified.
+   *   Returns its input.
+   * - `this.observeGlob(pattern)`: Like `observeDir()`, but for all files
+   *   that match the glob pattern, e.g. `'content/*.md'`. Relative patterns
+   *   are resolved against the current working directory. Returns its input.
+   * - `this.observeEnv(name)`: Returns the value of the environment variable
+   *   and records it. The cache entry becomes invalid as soon as the variable
+   *   has another value, e.g. `this.observeEnv('NODE_ENV')`.
+   * - `this.observePackageVersion(name)`: Returns a promise for the version of
+   *   the installed package (or `null` if it isn't installed) and records it.
+   *   The package is resolved from the current working directory. The cache
+   *   entry becomes invalid as soon as another version is installed.
+   * - `this.observeValue(label, value)`: Records a fingerprint of the value
+   *   and returns it. When looking up the cache entry, the fingerprint is
+   *   compared with the value of the same label in the `values` constructor
+   *   option. The entry becomes invalid if the value has changed. If `value`
+   *   is omitted, it's taken from the `values` constructor option. The label
+   *   has to be present there, otherwise `observeValue()` throws. Values are
+   *   encoded like cache keys (see the static `cacheKey` method), i.e. the
+   *   order of object properties doesn't matter.
+   * - `this.expiresIn(ms)`: Declares that the cache entry becomes invalid
+   *   after the specified number of milliseconds. Use this if the output
+   *   depends on something that can't be observed, e.g. today's date.
+   * - `this.expiresAt(date)`: Like `expiresIn()`, but with a `Date` or a
+   *   timestamp in milliseconds. If both are called (or one of them multiple
+   *   times), the earliest expiry wins.
+   * - `this.call(buildFn, ...args)`: Calls another `CachedBuildFunction` and
+   *   returns its promise. The called function's cache entry becomes a
+   *   dependency of this cache entry: The files it observes are observed by
+   *   this cache entry as well, this cache entry expires no later than the
+   *   called function's entry and `cleanUnused()` won't remove it as long as
+   *   this cache entry is used (see `CachedBuildFunction.cleanUnused()`).
+   * - `this.signal`: An `AbortSignal` that is aborted if the call is aborted
+   *   (see the signals of `withOptions()` and `flush()`) or if `run()` times
+   *   out (see the static `timeout` property). Long-running `run()` functions
+   *   can listen to it to stop early. Once the call is aborted, it rejects
+   *   with an `AbortError` and nothing is written to the cache. Before
+   *   Node.js 15, which lacks `AbortController`, the signal is a minimal
+   *   object with `aborted`, `addEventListener()` and
+   *   `removeEventListener()`.
    * - `this.cachePath(name)`: Returns a path inside the cache folder. You can
    *   use this path to create a file or folder that you want to cache. Later
    *   inside the `after()` function, you can access the stored file or folder.
    *   The `name` parameter has to be a string that is valid inside file names.
    *   The returned path has the form
-   *   `` `${cacheFolder}/${cacheKey}-${name}` ``.
+   *   `` `${cacheFolder}/${cacheKey}-${name}` `` (with the default storage).
+   *   The checksums of the created files and folders are stored in the cache
+   *   entry. If they are missing or have been modified later on, the cache
+   *   entry is considered corrupt.
    * @abstract
    * @return {Promise}
    */
@@ -106,7 +210,7 @@ class CachedBuildFunction extends Function () {
    * with the arguments that the `CachedBuildFunction` was called with. Its
    * return value becomes the return value of the `CachedBuildFunction`.
    * This means that you can use it to transform the output which had to be
-   * stored as JSON when it was cached into something else. Or, you can use it
+   * serializable when it was cached into something else. Or, you can use it
    * to copy files from the cache to their final destinations. The `this`
    * inside the function has the following properties and methods:
    * - `this.value`: The value from the cache produced by the `run()` function
@@ -123,10 +227,16 @@ class CachedBuildFunction extends Function () {
 
   /**
    * The `cacheKey` static method selects the arguments that determine the
-   * cache key. The cache key will be created by serializing the return value
-   * to JSON and then hashing it. You should override this function if:
-   * - you have parameters that cannot be serialized to JSON and you want to
-   *   transform them into something that can.
+   * cache key. The cache key will be created by encoding the return value
+   * canonically and then hashing it. The encoding doesn't depend on the order
+   * of object properties or of `Map` and `Set` items. Besides JSON values, it
+   * supports `undefined`, `Buffer`s, typed arrays, `Date`s, `RegExp`s, `Map`s,
+   * `Set`s and `CachedBuildFunction.fileContent()` markers. Object properties
+   * that are `undefined` are ignored. Functions, symbols and circular
+   * structures throw an error. Strings are used as they are. You should
+   * override this function if:
+   * - you have parameters that cannot be encoded and you want to transform
+   *   them into something that can.
    * - you have parameters that do not influence the behavior of the `run()`
    *   function, e.g. a parameter that is only used in the `after()` function.
    * @static
@@ -137,14 +247,14 @@ class CachedBuildFunction extends Function () {
 
   /**
    * The static `outputConsistency` property is intended for advanced users
-   * only. Normally the output value is always deserialized from JSON to make
-   * the output look like it comes from the cache whether or not it actually
-   * did. Setting this property to `false` disables this deserialization which
-   * is not striclty necessary for output values that were just created by
-   * executing `run()`. You should either always leave this option set to
-   * `true` or at least during development. The performance gain is relatively
-   *  minimal if you're using your `CachedBuildFunction` to perform
-   * appropriately expensive operations because deserialization from JSON is
+   * only. Normally the output value is always serialized and deserialized to
+   * make the output look like it comes from the cache whether or not it
+   * actually did. Setting this property to `false` disables this
+   * deserialization which is not striclty necessary for output values that
+   * were just created by executing `run()`. You should either always leave
+   * this option set to `true` or at least during development. The performance
+   * gain is relatively minimal if you're using your `CachedBuildFunction` to
+   * perform appropriately expensive operations because deserialization is
    * cheap compared to operations like hashing large files, resizing images,
    * reading excel files etc. If you set this property to `false`, you can run
    * into problems where your output looks different depending on whether it
@@ -155,128 +265,828 @@ class CachedBuildFunction extends Function () {
    */
   static get outputConsistency () { return true }
 
+  /**
+   * The static `filename` property is the path of the file that defines the
+   * class. It's only used if the `version` is `'auto'`. By default, the file
+   * that creates the first instance is used, which is usually the same file.
+   * Override it with `static get filename () { return __filename }` if it
+   * isn't.
+   * @return {string|undefined}
+   */
+  static get filename () { return undefined }
+
+  /**
+   * The static `codecs` property lets you store values of custom types in the
+   * cache. Each codec is an object with the following properties:
+   * - `name`: Unique name of the type
+   * - `test(value)`: Returns whether the codec is responsible for the value
+   * - `serialize(value)`: Converts the value into a serializable value
+   * - `deserialize(data)`: Converts the serialized value back
+   *
+   * ```javascript
+   * static get codecs () {
+   *   return [{
+   *     name: 'Point',
+   *     test: value => value instanceof Point,
+   *     serialize: point => [point.x, point.y],
+   *     deserialize: ([x, y]) => new Point(x, y)
+   *   }]
+   * }
+   * ```
+   * @default []
+   * @return {object[]}
+   */
+  static get codecs () { return [] }
+
+  /**
+   * The static `fingerprint` property defines how observed files are compared
+   * to decide whether a cache entry is still valid:
+   * - `'stat'` (Default): Compares the file size and creation and modification
+   *   timestamps. This is fast, but any operation that recreates the file,
+   *   like a fresh checkout of a git repository, invalidates the cache entry.
+   * - `'content'`: Compares a hash of the file content. The hashes are
+   *   memoized by file size and modification time. This means that an
+   *   unchanged file is only hashed once per process.
+   *
+   * The property can be overridden per instance with the `fingerprint`
+   * constructor option.
+   * @default 'stat'
+   * @return {string}
+   */
+  static get fingerprint () { return 'stat' }
+
+  /**
+   * The static `concurrency` property limits how many `run()` calls of an
+   * instance can be in progress at the same time. Additional calls wait until
+   * a slot becomes available. Cache hits and `after()` calls are not limited,
+   * which means they never wait behind expensive `run()` calls. Neither are
+   * calls through `this.call()` inside `run()`, because the calling `run()`
+   * already holds a slot. Waiting calls with a higher priority start first
+   * (see `withOptions()`).
+   *
+   * The property can be overridden per instance with the `concurrency`
+   * constructor option.
+   * @default Infinity
+   * @return {number}
+   */
+  static get concurrency () { return Infinity }
+
+  /**
+   * The static `cacheErrors` property defines which errors thrown by `run()`
+   * are cached:
+   * - `true` (Default): All errors are cached
+   * - `false`: No errors are cached, i.e. `run()` is executed again the next
+   *   time
+   * - A function that receives the error and returns whether it should be
+   *   cached
+   *
+   * Transient errors (see `isTransientError()`) and timeouts are never
+   * cached.
+   * @default true
+   * @return {boolean|Function}
+   */
+  static get cacheErrors () { return true }
+
+  /**
+   * The static `maxAge` property defines how many milliseconds cache entries
+   * remain valid. After that, `run()` is executed again. Inside `run()`, you
+   * can shorten the lifetime of individual entries with `this.expiresIn()`
+   * and `this.expiresAt()`.
+   * @default Infinity
+   * @return {number}
+   */
+  static get maxAge () { return Infinity }
+
+  /**
+   * The static `errorMaxAge` property defines how many milliseconds cached
+   * errors remain valid. After that, `run()` is executed again. The `maxAge`
+   * property applies to errors as well.
+   * @default Infinity
+   * @return {number}
+   */
+  static get errorMaxAge () { return Infinity }
+
+  /**
+   * The static `retries` property defines how often `run()` is retried if it
+   * throws a transient error (see `isTransientError()`). The delay between
+   * the attempts starts at `retryDelay` milliseconds and doubles after each
+   * attempt.
+   * @default 0
+   * @return {number}
+   */
+  static get retries () { return 0 }
+
+  /**
+   * Initial delay in milliseconds between retries. See `retries`.
+   * @default 100
+   * @return {number}
+   */
+  static get retryDelay () { return 100 }
+
+  /**
+   * The static `isTransientError()` method decides whether an error thrown by
+   * `run()` is transient, i.e. whether it can go away if `run()` is simply
+   * executed again. Transient errors are retried (see `retries`) and never
+   * cached. By default, errors with codes like `EBUSY`, `EAGAIN` or `EMFILE`
+   * are considered transient. You can override this method to classify errors
+   * of the tools you're using.
+   * @param {*} error
+   * @return {boolean}
+   */
+  static isTransientError (error) {
+    return !!error && TRANSIENT_ERROR_CODES.includes(error.code)
+  }
+
+  /**
+   * The static `timeout` property defines after how many milliseconds a
+   * `run()` call is aborted. The call then rejects with a
+   * `CachedBuildFunction.TimeoutError`. The timeout can also be set per call
+   * (see `withOptions()`). JavaScript can't stop `run()` from the outside,
+   * so it should react to `this.signal`, which is aborted at the timeout.
+   * Until it actually finishes, it keeps its slot (see the static
+   * `concurrency` property) and the lock of its cache entry, because it
+   * might still be busy, e.g. writing to `this.cachePath()`. The same
+   * applies to aborted calls.
+   * @default Infinity
+   * @return {number}
+   */
+  static get timeout () { return Infinity }
+
+  /**
+   * The static `metadata` property defines whether each cache entry stores
+   * human-readable information about its origin: the class name, the
+   * `version`, the cache key input (the encoded value of `cacheKey()`), the
+   * creation time and the names of the files and folders created through
+   * `this.cachePath()`. The metadata is used by `getEntry()`,
+   * `listEntries()` and the command line tool. Set it to `false` if the
+   * arguments are too large or too sensitive to be stored.
+   * @default true
+   * @return {boolean}
+   */
+  static get metadata () { return true }
+
+  /**
+   * The default storage. It stores the cache entries as JSON files inside the
+   * folder at `options.cachePath`. You don't need to create it yourself, but
+   * it may serve as a reference if you want to write your own storage. See
+   * the `storage` constructor option.
+   * @return {Function}
+   */
+  static get FileSystemStorage () { return FileSystemStorage }
+
+  /**
+   * A storage that keeps the cache entries in memory. It is useful for unit
+   * tests, because it doesn't touch the disk. The files and folders created
+   * through `this.cachePath()` are only supported if you pass it an
+   * `artifactsPath` option, e.g.
+   * `new CachedBuildFunction.MemoryStorage({ artifactsPath: '...' })`.
+   * @return {Function}
+   */
+  static get MemoryStorage () { return MemoryStorage }
+
+  /**
+   * Error class with which calls reject if `run()` exceeds its timeout. Its
+   * `code` is `'ERUNTIMEOUT'`.
+   * @return {Function}
+   */
+  static get TimeoutError () { return TimeoutError }
+
+  /**
+   * Error class with which calls reject if they're aborted through their
+   * `AbortSignal` (see `withOptions()` and `flush()`) or through
+   * `clearQueue()`. Its `code` is `'ABORT_ERR'`.
+   * @return {Function}
+   */
+  static get AbortError () { return AbortError }
+
+  /**
+   * Class that lets several instances share a queue and a concurrency budget,
+   * e.g. `new CachedBuildFunction.Scheduler({ concurrency: 4 })`. See the
+   * `scheduler` constructor option.
+   * @return {Function}
+   */
+  static get Scheduler () { return Scheduler }
+
+  /**
+   * Creates a marker for the content of a file. Inside the arguments (or the
+   * return value of `cacheKey()`), it makes the cache key depend on the hash
+   * of the file content instead of its path. This way, moved or copied files
+   * still have a cache hit and changed files don't.
+   *
+   * ```javascript
+   * const { fileContent } = CachedBuildFunction
+   * await processFile(fileContent('data1.json'))
+   * ```
+   *
+   * `run()` receives the marker. Its `path` property contains the path.
+   * The file is read asynchronously before the cache lookup. Absent files
+   * are encoded as such.
+   * @param {string} path
+   * @return {object}
+   */
+  static fileContent (path) { return new FileContent(path) }
+
+  /**
+   * Creates a `CachedBuildFunction` without the need to define a subclass.
+   * The static properties are passed as options alongside the constructor
+   * options. `this` inside `run()` and `after()` works like in subclasses.
+   *
+   * ```javascript
+   * const processFile = CachedBuildFunction.create({
+   *   name: 'ProcessFile',
+   *   version: 1,
+   *   async run (srcPath) {
+   *     const srcBuffer = await readFile(this.observe(srcPath))
+   *     return someExpensiveOperation(srcBuffer.toString())
+   *   },
+   *   cachePath: 'path/to/my/cache'
+   * })
+   *
+   * await processFile('data1.json')
+   * ```
+   * @param {object} options The static properties `version`, `run`, `after`,
+   * `cacheKey`, `outputConsistency`, `codecs`, `cacheErrors`, `maxAge`,
+   * `errorMaxAge`, `retries`, `retryDelay`, `isTransientError`, `timeout`
+   * and `metadata`, the constructor options and a `name` for the class. The
+   * name is used e.g. by the metadata of the cache entries and as default
+   * `namespace`. Either `name` or `namespace` is required, because, unlike
+   * subclasses, the created classes can't be told apart otherwise
+   * @return {CachedBuildFunction}
+   */
+  static create (options) {
+    options = options || {}
+    if (typeof options.run !== 'function') {
+      throw new Error('options.run must be a function')
+    }
+    if (typeof options.name !== 'string' &&
+        typeof options.namespace !== 'string') {
+      throw new Error('options.name or options.namespace must be a string')
+    }
+
+    const BuildFn = class extends this {}
+    Object.defineProperty(BuildFn, 'name', {
+      value: options.name || options.namespace
+    })
+    const constructorOptions = {}
+    for (let key of Object.keys(options)) {
+      if (STATIC_PROPERTY_NAMES.includes(key)) {
+        Object.defineProperty(BuildFn, key, { value: options[key] })
+      } else {
+        constructorOptions[key] = options[key]
+      }
+    }
+
+    return new BuildFn(constructorOptions)
+  }
+
+  /**
+   * Removes all cache entries that none of the specified instances have
+   * accessed, regardless of their namespace. Use it to clean up a cache
+   * folder that several `CachedBuildFunction`s share. Entries that are used
+   * through their dependents are kept, even if the dependents belong to
+   * another instance (see `this.call()` inside `run()`). Instances with
+   * different cache folders are cleaned up per folder.
+   *
+   * ```javascript
+   * await CachedBuildFunction.cleanUnused([processFile, resizeImage])
+   * ```
+   * @param {CachedBuildFunction[]} buildFns
+   * @return {Promise}
+   */
+  static async cleanUnused (buildFns) {
+    const storages = new Map() // Maps locations to storages
+    for (let buildFn of buildFns) {
+      storages.set(buildFn._storage.location, buildFn._storage)
+    }
+    await Promise.all([...storages.values()].map(storage => {
+      return deleteUnused(storage, cacheKey => {
+        return !buildFns.some(x => x._hasUsed(storage.location, cacheKey))
+      })
+    }))
+  }
+
   /**
     *
     * @param {object} options
     * @param {boolean} options.cachePath The path to the folder you intend to
     * use for the cache. The `CachedBuildFunction` will create the folder if
     * it does not already exist (and if necessary also its anchestors). The
-    * function expects the cache folder to only contain files it created.
-    * You should also refrain from modifying any of the cache files. You
+    * function expects the cache folder to only contain files created by
+    * `CachedBuildFunction`s. Several of them may share the folder (see
+    * `options.namespace`). You should refrain from modifying any of the
+    * cache files. You
     * may, however, delete the folder or any of the files within it while
     * the function is not running.
+    * @param {object} [options.storage] Storage that is used instead of the
+    * cache folder. It has to implement the following methods:
+    * - `get(cacheKey)`: Returns a promise for the stored text (or `undefined`
+    *   if there's no entry)
+    * - `put(cacheKey, text)`: Stores the text. Returns a promise
+    * - `list()`: Returns a promise for an array of all stored cache keys
+    * - `delete(cacheKey)`: Removes the entry and its artifacts. Returns a
+    *   promise
+    * - `artifactPath(cacheKey, name)`: Returns the path that
+    *   `this.cachePath(name)` returns
+    * - `touch(cacheKey)` (Optional): Records an access of the entry. Returns a
+    *   promise
+    * - `stats()` (Optional, needed for `prune()`): Returns a promise for an
+    *   array of objects of the form `{ cacheKey, size, lastAccess, inUse }`.
+    *   `inUse` is `true` if the entry might be computed right now, e.g. by
+    *   another process. `prune()` doesn't remove such entries
+    * - `lock(cacheKey)` (Optional): Acquires a lock that prevents other
+    *   processes from computing the same entry at the same time. Returns a
+    *   promise for a function that releases the lock
+    *
+    * Also, it needs a `location` string property that uniquely identifies the
+    * storage. See `CachedBuildFunction.MemoryStorage` for an in-memory
+    * storage.
+    * @param {string} [options.fingerprint] Overrides the static `fingerprint`
+    * property for this instance
+    * @param {object} [options.prune] Limits that are enforced automatically
+    * after each write to the cache. See `prune()` for the available options
+    * @param {number} [options.concurrency] Overrides the static `concurrency`
+    * property for this instance
+    * @param {object} [options.values] Values that `run()` can observe with
+    * `this.observeValue(label)`, e.g. `{ quality: config.quality }`
+    * @param {Scheduler} [options.scheduler] Scheduler that this instance
+    * joins. Its `flush()` method flushes the queues of all its instances
+    * together and their `run()` calls share its concurrency budget. See
+    * `CachedBuildFunction.Scheduler`
+    * @param {string} [options.namespace] Name that prefixes the cache keys of
+    * this instance. `cleanUnused()` only removes entries in its namespace.
+    * Defaults to the class name, i.e. classes that share a cache folder keep
+    * their entries apart. Instances of different classes with the same
+    * namespace, version and input share their entries. Characters other than
+    * letters, digits and `_` are replaced with `_`
     */
   constructor (options) {
-    const { cachePath } = options || {}
-    if (typeof cachePath !== 'string') {
+    const {
+      cachePath, storage, fingerprint = new.target.fingerprint, prune,
+      concurrency = new.target.concurrency, values = {}, scheduler,
+      namespace = new.target.name
+    } = options || {}
+    if (typeof cachePath !== 'string' && !storage) {
       throw 'options.cachePath must be a string'
     }
+    if (!FINGERPRINT_STRATEGIES.includes(fingerprint)) {
+      throw new Error('options.fingerprint must be one of ' +
+                      FINGERPRINT_STRATEGIES.map(x => `'${x}'`).join(', '))
+    }
+    if (!(concurrency >= 1)) {
+      throw new Error('options.concurrency must be a number greater than 0')
+    }
+    if (typeof namespace !== 'string') {
+      throw new Error('options.namespace must be a string')
+    }
+    if (prune && storage && !storage.stats) {
+      throw new Error('options.prune requires a storage with stats()')
+    }
 
     function self (...args) { return self._run(args) }
     Object.setPrototypeOf(self, new.target.prototype)
 
-    self._cachePath = cachePath
-    self._dirEnsured = false
-    self._dirEnsuredPromise =
-      ensureDir(cachePath).then(() => self._dirEnsured = true)
+    self._storage = storage || new FileSystemStorage(cachePath)
+    self._fingerprint = fingerprint
+    self._values = values
+    self._namespace = namespace.replace(/\W/g, '_')
+    self._scheduler = scheduler
+    self._limiter = new Limiter(concurrency)
     self._usedCacheKeys = new Set()
+    self._usedDependencies = new Map() // Maps locations to sets of cache keys
     self._currentlyRunningMap = new Map()
     self._queue = []
+    self._autoPruneOptions = prune
+    self._stats = { hits: 0, misses: 0, errors: 0, keys: new Map() }
+    self._runningAutoPrune = undefined
+    self._scheduledAutoPrune = undefined
+    self._creationStack = new Error().stack // For `version: 'auto'`
+
+    if (scheduler) { scheduler._add(self) }
 
     return self
   }
 
-  _run (args, blockRun) {
-    // Hash the input
-    const cacheKeyFn = this.constructor.cacheKey
-    let hashInput = cacheKeyFn ? cacheKeyFn(...args) : args
-    if (typeof hashInput !== 'string') { hashInput = JSON.stringify(hashInput) }
-    let version = this.constructor.version
-    if (typeof version === 'function') { version = version() }
-    if (typeof version !== 'string' && typeof version !== 'number') {
-      throw new Error('CachedBuildFunction.version must be a string or number')
-    }
-    const cacheKey = sha1(LIBRARY_VERSION + ',' + version + ',' + hashInput)
-    this._usedCacheKeys.add(cacheKey)
+  _run (args, options) {
+    const {
+      blockRun, priority, timeout = this.constructor.timeout, nested,
+      signal: callSignal
+    } = options || {}
 
-    // Return existing promise if an operation with the same input is
-    // already in progress to avoid unnecessary work
-    const currentlyRunningPromise = this._currentlyRunningMap.get(cacheKey)
-    if (currentlyRunningPromise) { return currentlyRunningPromise }
+    const hashedInput = this._hashInput(args)
+    // Without `fileContent()` markers, the cache key is known right away
+    const knownCacheKey =
+      !(hashedInput instanceof Promise) && hashedInput.cacheKey
+    if (knownCacheKey) {
+      this._usedCacheKeys.add(knownCacheKey)
+
+      // Return existing promise if an operation with the same input is
+      // already in progress to avoid unnecessary work
+      const running = this._currentlyRunningMap.get(knownCacheKey)
+      if (running) { return running.promise }
+    }
 
     const eventEmitter = new EventEmitter()
+    // Calls that join this operation receive its events, too
+    const eventEmitters = new Set([eventEmitter])
+    const emitter = {
+      emit (...args) { for (let x of eventEmitters) { x.emit(...args) } }
+    }
 
-    const promise = (async () => {
-      if (!this._dirEnsured) { await this._dirEnsuredPromise }
+    // Filled in once the cache entry is known. See `this.call()`
+    const dependency = {
+      location: this._storage.location, cacheKey: knownCacheKey || undefined
+    }
 
-      const path = join(this._cachePath, cacheKey)
+    // Resolves to whether there was a cache hit. See `enqueue()`
+    let setCheckedCache
+    const checkedCache = new Promise(x => { setCheckedCache = x })
 
-      let result
-      {
-        let text
-        try {
-          text = (await readFile(path + '.json')).toString()
-        } catch (e) {}
+    let operation // Entry in `this._currentlyRunningMap`
+    let disposeSignal = () => {} // Removes the listeners of the call signal
+    const register = cacheKey => {
+      operation = { promise, eventEmitters, dependency, checkedCache }
+      this._currentlyRunningMap.set(cacheKey, operation)
+    }
 
-        if (text) {
-          result = deserializeResult(text)
+    const execute = async () => {
+      const { cacheKey, version, hashInput } = await hashedInput
+      if (!knownCacheKey) {
+        dependency.cacheKey = cacheKey
+        this._usedCacheKeys.add(cacheKey)
 
-          // Ensure observed files are unchanged
-          if (await detectChanges(result.observedFiles)) {
-            result = undefined
+        // Join an operation with the same input that is already in progress.
+        // Its promise can't be returned anymore
+        const running = this._currentlyRunningMap.get(cacheKey)
+        if (running) {
+          running.eventEmitters.add(eventEmitter)
+          running.checkedCache.then(setCheckedCache)
+          try {
+            return await running.promise
+          } finally {
+            Object.assign(dependency, running.dependency)
           }
         }
+        register(cacheKey)
       }
 
+      const cachePath = name => this._storage.artifactPath(cacheKey, name)
+      let { result, missReason } = await this._lookUp(cacheKey, emitter)
+
       const cacheHit = !!result
-      eventEmitter.emit('checkedCache', { cacheHit })
-      eventEmitter.emit(cacheHit ? 'cacheHit' : 'cacheMiss')
+      setCheckedCache(cacheHit)
+      emitter.emit('checkedCache',
+        cacheHit ? { cacheHit } : { cacheHit, missReason })
+      emitter.emit(cacheHit ? 'cacheHit' : 'cacheMiss')
+
+      // For queue mode. Resolves to the signal passed to `flush()`
+      const flushSignal = blockRun && await abortable(blockRun, callSignal)
+      const combinedSignal = anySignal([callSignal, flushSignal])
+      const { signal } = combinedSignal
+      disposeSignal = combinedSignal.dispose
+      if (signal && signal.aborted) { throw new AbortError() }
 
-      if (blockRun) { await blockRun } // For queue mode
+      const useCacheHit = async result => {
+        this._recordStats(cacheKey, args, result, true)
+        for (let x of result.dependencies || []) { this._markUsed(x) }
+        Object.assign(dependency, getDependencyInfo(result))
+        if (this._storage.touch) { await this._storage.touch(cacheKey) }
 
-      if (result) { // Cache hit
         const afterFn = this.constructor.after
         if (result.state === 'fulfilled' && afterFn) {
-          result = await callAfterFn(afterFn, args, path, result.value)
+          result = await callAfterFn(afterFn, args, cachePath, result.value)
         }
 
-        this._currentlyRunningMap.delete(cacheKey)
+        if (result.state === 'rejected') { this._stats.errors++ }
         return result.state === 'fulfilled' ? result.value
                                             : Promise.reject(result.reason)
       }
+      if (result) { return useCacheHit(result) }
 
-      result = await callRunFn(this.constructor.run, args, path) // run()
+      // Another process might be computing the same cache entry right now.
+      // Once `run()` has a slot, wait until the other process has finished
+      // and check the cache again. Calls that wait for a slot don't hold the
+      // lock, so that other processes can compute their entries meanwhile
+      let releaseLock
+      const lockAndCheck = async () => {
+        if (!this._storage.lock) { return }
+        const lockPromise = this._storage.lock(cacheKey)
+        try {
+          releaseLock = await abortable(lockPromise, signal)
+        } catch (error) { // Aborted or failed
+          lockPromise.then(release => release(), () => {})
+          throw error
+        }
+        let cachedResult
+        try {
+          cachedResult = (await this._lookUp(cacheKey, emitter)).result
+        } catch (error) {
+          await releaseLock()
+          releaseLock = undefined
+          throw error
+        }
+        if (cachedResult) {
+          await releaseLock()
+          releaseLock = undefined
+        }
+        return cachedResult
+      }
 
-      // Write to cache
-      const text = serializeResult(result)
-      const wroteToCache = new Promise ((resolve, reject) => {
-        writeFileAtomic(path + '.json', text, (err) => {
-          if (err) { reject(err) } else { resolve(err) }
+      let abandonedRun
+      try {
+        result = await this._runWithRetries(args, cachePath, {
+          priority, timeout, nested, signal, beforeRun: lockAndCheck,
+          onStart: () => { emitter.emit('started') }
         })
-      })
+        if (result.cacheHit) { return await useCacheHit(result.cacheHit) }
+        abandonedRun = result.abandonedRun
+        this._recordStats(cacheKey, args, result, false)
+        for (let x of result.dependencies) { this._markUsed(x) }
+        Object.assign(dependency, getDependencyInfo(result))
 
-      if (this.constructor.outputConsistency) {
-        result = deserializeResult(text)
-      }
+        const { maxAge, errorMaxAge } = this.constructor
+        const entryMaxAge = result.state === 'rejected'
+          ? Math.min(maxAge, errorMaxAge) : maxAge
+        result.expiresAt = earliest(result.expiresAt, Date.now() + entryMaxAge)
 
-      const afterFn = this.constructor.after
-      if (result.state === 'fulfilled' && afterFn) {
-        result = await callAfterFn(afterFn, args, path, result.value)
-      }
+        if (this.constructor.metadata) {
+          result.metadata = {
+            className: this.constructor.name,
+            version,
+            input: hashInput,
+            createdAt: Date.now(),
+            artifacts: result.artifacts.map(x => x.name)
+          }
+        }
+
+        // Write to cache
+        const shouldCache = this._shouldCache(result)
+        const text = serializeResult(result, this.constructor.codecs)
+        const wroteToCache = shouldCache ? this._storage.put(cacheKey, text)
+                                         : Promise.resolve()
 
-      await wroteToCache // Ran in the background
+        // Errors that aren't cached are passed on as they are
+        if (this.constructor.outputConsistency && shouldCache) {
+          result = deserializeResult(text, this.constructor.codecs)
+        }
 
-      this._currentlyRunningMap.delete(cacheKey)
+        const afterFn = this.constructor.after
+        if (result.state === 'fulfilled' && afterFn) {
+          result = await callAfterFn(afterFn, args, cachePath, result.value)
+        }
+
+        await wroteToCache // Ran in the background
+        if (this._autoPruneOptions) { await this._autoPrune() }
+      } finally {
+        if (abandonedRun && releaseLock) { // Still busy, see `timeout`
+          abandonedRun.then(releaseLock).catch(() => {})
+        } else if (releaseLock) {
+          await releaseLock()
+        }
+      }
+
+      if (result.state === 'rejected') { this._stats.errors++ }
       return result.state === 'fulfilled' ? result.value
                                           : Promise.reject(result.reason)
-    })()
+    }
 
-    this._currentlyRunningMap.set(cacheKey, promise)
+    const promise = execute().finally(() => {
+      setCheckedCache(false) // In case the cache check failed
+      disposeSignal()
+      const { cacheKey } = dependency
+      if (operation && this._currentlyRunningMap.get(cacheKey) === operation) {
+        this._currentlyRunningMap.delete(cacheKey)
+      }
+    })
+    if (knownCacheKey) { register(knownCacheKey) }
 
     return Object.assign(promise, {
       eventEmitter,
-      on(...args) { eventEmitter.on(...args); return this }
+      on(...args) { eventEmitter.on(...args); return this },
+      _dependency: dependency,
+      _checkedCache: checkedCache
+    })
+  }
+
+  // Returns a promise if the files of `fileContent()` markers have to be
+  // hashed, which happens asynchronously. Arguments that can't be encoded
+  // throw right away
+  _hashInput (args) {
+    const cacheKeyFn = this.constructor.cacheKey
+    const input = cacheKeyFn ? cacheKeyFn(...args) : args
+    const fileFingerprints = new Map() // See `encodeCacheKey()`
+    const encode = () => typeof input === 'string' ? input
+      : encodeCacheKey(input, cacheKeyFn ? 'cacheKey()' : 'args',
+                       fileFingerprints)
+    const encodedInput = encode()
+
+    let version = this.constructor.version
+    if (typeof version === 'function') { version = version() }
+    if (version === 'auto') { version = this._autoVersion() }
+    if (typeof version !== 'string' && typeof version !== 'number') {
+      throw new Error('CachedBuildFunction.version must be a string or number')
+    }
+
+    const hash = hashInput => {
+      const cacheKey = this._namespace + '_' +
+        sha1(LIBRARY_VERSION + ',' + version + ',' + hashInput)
+      return { cacheKey, version, hashInput }
+    }
+    if (fileFingerprints.size === 0) { return hash(encodedInput) }
+    return fingerprintFiles(fileFingerprints).then(() => hash(encode()))
+  }
+
+  _autoVersion () {
+    const BuildFn = this.constructor
+    let version = autoVersions.get(BuildFn)
+    if (!version) {
+      const file = BuildFn.filename || callerFile(this._creationStack)
+      version = autoVersion([BuildFn.run, BuildFn.after, BuildFn.cacheKey], file)
+      autoVersions.set(BuildFn, version)
+    }
+    return version
+  }
+
+  async _runWithRetries (args, cachePath, options) {
+    const { priority, timeout, nested, signal, beforeRun, onStart } = options
+    const { retries, retryDelay } = this.constructor
+    let started = false
+    const callRun = () => {
+      if (!started) { started = true; onStart() }
+      return callRunFn(this.constructor.run, args, {
+        cachePath, fingerprintStrategy: this._fingerprint, timeout,
+        values: this._values, signal
+      }) // run()
+    }
+
+    // Nested calls don't take up a slot of the instance or the scheduler,
+    // because the calling `run()` already holds one. Otherwise, they could
+    // wait for each other, e.g. if `run()` calls its own instance
+    const scheduler = this._scheduler
+    const runLimited = nested ? fn => fn() : fn => this._limiter.run(() => {
+      return scheduler ? scheduler._limiter.run(fn, priority, signal) : fn()
+    }, priority, signal)
+
+    // Resolves as soon as there's a result, but keeps the slots until `run()`
+    // has finished. It finishes later if it timed out or was aborted. Before
+    // the first attempt, `beforeRun()` can resolve to a cache entry that is
+    // used instead. It resolves to `{ cacheHit }` then
+    const runHoldingSlots = first => new Promise((resolve, reject) => {
+      runLimited(async () => {
+        const cacheHit = first && beforeRun && await beforeRun()
+        if (cacheHit) { return resolve({ cacheHit }) }
+        return callRun().then(result => {
+          resolve(result)
+          return result.abandonedRun
+        })
+      }).catch(reject)
+    })
+    let duration = 0
+    for (let attempt = 0; ; attempt++) {
+      const result = await runHoldingSlots(attempt === 0)
+      if (result.cacheHit) { return result }
+      duration += result.duration
+
+      if (result.state === 'fulfilled' || attempt >= retries ||
+          !this.constructor.isTransientError(result.reason)) {
+        return Object.assign(result, { duration })
+      }
+
+      const delay = retryDelay * Math.pow(2, attempt)
+      await abortable(new Promise(resolve => setTimeout(resolve, delay)),
+                      signal)
+    }
+  }
+
+  _recordStats (cacheKey, args, result, cacheHit) {
+    let keyStats = this._stats.keys.get(cacheKey)
+    if (!keyStats) {
+      keyStats = {
+        cacheKey, args, hits: 0, misses: 0, duration: 0, runDuration: 0
+      }
+      this._stats.keys.set(cacheKey, keyStats)
+    }
+
+    const duration = result.duration || 0 // Unknown for old entries
+    keyStats.duration = duration
+    if (cacheHit) {
+      this._stats.hits++
+      keyStats.hits++
+    } else {
+      this._stats.misses++
+      keyStats.misses++
+      keyStats.runDuration += duration
+    }
+  }
+
+  _shouldCache (result) {
+    if (result.state === 'fulfilled') { return true }
+
+    const { reason } = result
+    if (reason instanceof TimeoutError || reason instanceof AbortError ||
+        this.constructor.isTransientError(reason)) { return false }
+
+    const { cacheErrors } = this.constructor
+    return typeof cacheErrors === 'function' ? !!cacheErrors(reason)
+                                             : !!cacheErrors
+  }
+
+  // Resolves to an object with either the valid cache entry as `result`
+  // property or a `missReason` property (see `explain()`)
+  async _lookUp (cacheKey, eventEmitter) {
+    const text = await this._storage.get(cacheKey)
+    if (!text) { return { missReason: { reason: 'noEntry' } } }
+
+    let result
+    try {
+      result = deserializeResult(text, this.constructor.codecs)
+    } catch (error) {
+      eventEmitter.emit('corruptEntry', { reason: 'unreadable', error })
+      return { missReason: { reason: 'unreadable', error } }
+    }
+
+    // Ensure the entry hasn't expired
+    const { expiresAt } = result
+    if (expiresAt !== undefined && Date.now() >= expiresAt) {
+      return { missReason: { reason: 'expired', expiresAt } }
+    }
+
+    // Ensure files and folders stored inside the cache are intact
+    const artifactProblem = await verifyArtifacts(result.artifacts, name => {
+      return this._storage.artifactPath(cacheKey, name)
     })
+    if (artifactProblem) {
+      eventEmitter.emit('corruptEntry', artifactProblem)
+      return { missReason: artifactProblem }
+    }
+
+    // Ensure observed files and values are unchanged
+    const change =
+      await detectChanges(result, this._fingerprint, this._values)
+    if (change) { return { missReason: change } }
+
+    return { result }
+  }
+
+  /**
+   * Explains whether a call with the specified arguments would be a cache
+   * hit and, if not, why. Neither `run()` nor `after()` are called.
+   *
+   * ```javascript
+   * const { cacheHit, missReason } = await myBuildFn.explain(arg1, arg2)
+   * if (!cacheHit) { console.log(missReason) }
+   * // E.g. { reason: 'fileChanged', path: 'data.json', ... }
+   * ```
+   * @param {*} args
+   * @return {Promise<object>} Promise for an object with the properties
+   * `cacheKey`, `cacheHit` and, in case of a cache miss, `missReason`. The
+   * miss reason is an object with a `reason` property and further properties
+   * depending on it:
+   * - `'noEntry'`: There's no cache entry
+   * - `'otherVersion'`: There's only an entry that was created by another
+   *   `version` of this class. Has the properties `version` and `cacheKey`
+   *   of that entry. Requires metadata (see the static `metadata`
+   *   property). This reason is only reported by `explain()` because finding
+   *   the entry requires reading all entries. The `'checkedCache'` event
+   *   reports `'noEntry'` instead
+   * - `'unreadable'`: The entry is corrupt. Has an `error` property
+   * - `'expired'`: Has an `expiresAt` property
+   * - `'artifactMissing'`, `'artifactModified'`: A file or folder created
+   *   through `this.cachePath()` is missing or has been modified. Has an
+   *   `artifact` property with its name
+   * - `'fileChanged'`: Has the properties `path`, `oldFingerprint` and
+   *   `newFingerprint`. The fingerprint of an absent file is `null`
+   * - `'fileListChanged'`: Files were added to or removed from an observed
+   *   directory or glob pattern. Has the properties `type` (`'dir'` or
+   *   `'glob'`), `path` or `pattern`, `added` and `removed`
+   * - `'valueChanged'`: An observed environment variable, package version or
+   *   value has changed. Has the properties `type` (`'env'`, `'package'` or
+   *   `'value'`), `name`, `oldValue` and `newValue`. Values are represented
+   *   by their fingerprints
+   */
+  async explain (...args) {
+    const { cacheKey, version, hashInput } = await this._hashInput(args)
+    const { result, missReason } =
+      await this._lookUp(cacheKey, new EventEmitter())
+    if (result) { return { cacheKey, cacheHit: true } }
+
+    if (missReason.reason === 'noEntry') {
+      const otherEntry = (await this.listEntries()).reverse() // Newest first
+        .find(x => x.metadata.input === hashInput &&
+                   x.metadata.version !== version)
+      if (otherEntry) {
+        return {
+          cacheKey,
+          cacheHit: false,
+          missReason: {
+            reason: 'otherVersion',
+            version: otherEntry.metadata.version,
+            cacheKey: otherEntry.cacheKey
+          }
+        }
+      }
+    }
+
+    return { cacheKey, cacheHit: false, missReason }
   }
 
   /**
@@ -288,24 +1098,63 @@ class CachedBuildFunction extends Function () {
    * @return {Promise} Same promise as if you call the `CachedBuildFunction`
    */
   enqueue (...args) {
-    let continueRunning
-    const blockRun = new Promise(x => { continueRunning = x })
+    return this._enqueue(args)
+  }
 
-    let setCacheCheckResult
-    const checkedCache = new Promise(x => { setCacheCheckResult = x })
+  _enqueue (args, options) {
+    let continueRunning, abort
+    const blockRun = new Promise((resolve, reject) => {
+      continueRunning = resolve
+      abort = reject
+    })
+    blockRun.catch(() => {}) // Unused if the operation is already in progress
 
-    const promise = this._run(args, blockRun)
-      .on('checkedCache', ({ cacheHit }) => { setCacheCheckResult(cacheHit) })
+    const promise = this._run(args, Object.assign({}, options, { blockRun }))
+    const checkedCache = promise._checkedCache
 
-    this._queue.push({ promise, checkedCache, continueRunning })
+    this._queue.push({
+      buildFn: this, args, promise, checkedCache, continueRunning, abort
+    })
 
     return promise
   }
 
+  /**
+   * Returns a function that calls this `CachedBuildFunction` with additional
+   * per-call options. The returned function also has an `enqueue()` method.
+   *
+   * ```javascript
+   * await myBuildFn.withOptions({ priority: 1 })(arg1, arg2)
+   * myBuildFn.withOptions({ priority: 1 }).enqueue(arg1, arg2)
+   * ```
+   *
+   * The options don't have any effect if an operation with the same input is
+   * already in progress, because the existing promise is returned in that
+   * case.
+   * @param {object} options
+   * @param {number} [options.priority] Priority of the `run()` call if it
+   * has to wait because of the `concurrency` limit. Higher priorities go
+   * first. Default: `0`
+   * @param {number} [options.timeout] Overrides the static `timeout`
+   * property for this call
+   * @param {AbortSignal} [options.signal] Signal that aborts the call. The
+   * call rejects with an `AbortError`. The signal is available inside
+   * `run()` as `this.signal`
+   * @return {Function}
+   */
+  withOptions (options) {
+    const fn = (...args) => this._run(args, options)
+    fn.enqueue = (...args) => this._enqueue(args, options)
+    return fn
+  }
+
   /**
    * This function lets you flush the queue.
    *
    * @param {object} options
+   * @param {AbortSignal} [options.signal] Signal that aborts the flushed
+   * calls. Calls that haven't completed yet reject with an `AbortError`. The
+   * signal is available inside `run()` as `this.signal`
    * @param {boolean} options.promise Defines what kind of promise should
    * be returned:
    * <ul>
@@ -322,18 +1171,40 @@ class CachedBuildFunction extends Function () {
    *   Note, it will always resolve (even if errors happen).
    * </li>
    * <li>
+   *   `'iterator'`: Return an async iterator instead of a promise. It yields
+   *   an object of either the form `{ args, value }` or `{ args, reason }`
+   *   per item, in the order in which the items complete:
+   *   ```javascript
+   *   for await (const { args, value, reason } of myFn.flush({
+   *     promise: 'iterator'
+   *   })) { ... }
+   *   ```
+   * </li>
+   * <li>
    *   `false`: Return no promise at all. Instead return a plain object with
    *   the extra properties `on` and `eventEmitter`. Use this if you're already
    *   handling the promise returned by `enqueue()`.
    * </li>
    * <ul>
    * @return {Promise} Promise with some extra properties:
-   * - `eventEmitter` EventEmitter that fires the following event:
+   * - `eventEmitter` EventEmitter that fires the following events:
    *   - `'checkedCache'`: Fired after the cache checks have completed. Its
    *     data is an object with the properties:
    *     - `count`: Total number of items
    *     - `cacheHitCount`: Number of items that had a cache hit
    *     - `cacheMissCount`: Number of items that had a cache miss
+   *   - `'started'`: Fired when `run()` is called for an item
+   *   - `'completed'`: Fired when an item has completed. Its data has a
+   *     `value` property
+   *   - `'failed'`: Fired when an item has failed. Its data has a `reason`
+   *     property
+   *
+   *   The data of the last three events also has the properties `buildFn`,
+   *   `args`, `count`, `completedCount`, `failedCount`, `runningCount` (the
+   *   number of `run()` calls in progress) and `eta` (the estimated number
+   *   of milliseconds until all items have settled, extrapolated from the
+   *   cache misses that already settled; `undefined` until the first one
+   *   has)
    * - `on()`: Calls `eventEmitter.on()` and is chainable. This means you can do
    *   this:
    *   ```javascript
@@ -345,114 +1216,527 @@ class CachedBuildFunction extends Function () {
    *   ```
    */
   flush (options) {
-    const { promise: promiseType = 'all' } = options || {}
     const queue = this._queue
     this._queue = []
+    return flushQueue(queue, options)
+  }
 
+  /**
+   * Number of queued operations
+   * @return {number}
+   */
+  get queuedCount () { return this._queue.length }
+
+  /**
+   * Clears the queue. The promises of the queued calls reject with an
+   * `AbortError`, unless the same call is already in progress through another
+   * call of the `CachedBuildFunction`. Promises without rejection handlers
+   * don't cause unhandled rejections.
+   */
+  clearQueue () {
+    for (let item of this._queue) {
+      item.promise.catch(() => {}) // Possibly ignored in favor of `flush()`
+      item.abort(new AbortError())
+    }
+    this._queue = []
+  }
+
+  /**
+   * Calls the `CachedBuildFunction` and calls it again whenever one of the
+   * files observed by its cache entry changes. After each call, the files
+   * observed by the new cache entry are watched. File system events that
+   * don't change the file fingerprints (see the static `fingerprint`
+   * property) are ignored.
+   *
+   * ```javascript
+   * for await (const { value, reason } of myBuildFn.watch(arg1, arg2)) {
+   *   console.log(reason || value)
+   * }
+   * ```
+   * @param {*} args
+   * @return {object} Async iterator that yields an object of either the form
+   * `{ value, state: 'fulfilled' }` or `{ reason, state: 'rejected' }` per
+   * call. It has the following extra properties:
+   * - `close()`: Stops watching. Also called if you break out of a
+   *   `for await` loop
+   * - `eventEmitter` EventEmitter that fires the `'result'` event for each
+   *   call. Its data is the object that the iterator yields
+   * - `on()`: Calls `eventEmitter.on()` and is chainable
+   */
+  watch (...args) {
     const eventEmitter = new EventEmitter()
+    const results = [] // Not yet consumed by the iterator
+    const waiting = [] // Pending `next()` calls
+    let closed = false
+    let dependency
+    let stopWatching = () => {}
+    let timer
+    let checking = false
+    let checkAgain = false
+
+    const call = async () => {
+      let promise
+      const result = await new Promise(resolve => {
+        promise = this._run(args)
+        resolve(promise)
+      }).then(
+        value => { return { value, state: 'fulfilled' } },
+        reason => { return { reason, state: 'rejected' } })
+      const cacheHit = promise && await promise._checkedCache
+      if (closed) { return }
+
+      // A cache hit on the entry of the previous result is no new result. It
+      // happens if a check sees a file while it's being written
+      const newDependency = promise && promise._dependency
+      if (!cacheHit || !dependency || !newDependency ||
+          !isSameEntry(dependency, newDependency)) {
+        eventEmitter.emit('result', result)
+        if (waiting.length) {
+          waiting.shift()({ value: result, done: false })
+        } else {
+          results.push(result)
+        }
+      }
 
-    Promise.all(queue.map(item => item.checkedCache))
-      .then(cacheResults => {
-        const count = queue.length
-        const cacheHitCount = cacheResults.filter(x => x).length
-        const cacheMissCount = count - cacheHitCount
-        const eventData = { count, cacheHitCount, cacheMissCount }
-        eventEmitter.emit('checkedCache', eventData)
-        for (let item of queue) { item.continueRunning() }
+      dependency = newDependency
+      if (!dependency || !dependency.observedFiles) { return } // Unknown
+      stopWatching = watchPaths(dependency, () => {
+        clearTimeout(timer) // Events tend to come in bursts
+        timer = setTimeout(check, 50)
       })
+      check() // Changed while run() was in progress?
+    }
 
-    let promise = {}
-    switch (promiseType) {
-      case 'all':
-        promise = Promise.all(queue.map(item => item.promise))
-        break
-      case 'allSettled':
-        promise = Promise.all(queue.map(item => item.promise.then(
-          value => { return { value, state: 'fulfilled' } },
-          reason => { return { reason, state: 'rejected' } }
-        )))
-        break
+    const check = async () => {
+      if (checking) { checkAgain = true; return }
+      checking = true
+      let changed
+      try {
+        changed =
+          await detectChanges(dependency, this._fingerprint, this._values)
+      } catch (error) {
+        changed = true // Let the call report the problem
+      }
+      checking = false
+      if (closed) { return }
+      if (changed) {
+        checkAgain = false
+        clearTimeout(timer)
+        stopWatching()
+        await call()
+      } else if (checkAgain) {
+        checkAgain = false
+        await check()
+      }
     }
 
-    return Object.assign(promise, {
+    const close = () => {
+      closed = true
+      clearTimeout(timer)
+      stopWatching()
+      for (let resolve of waiting.splice(0)) {
+        resolve({ value: undefined, done: true })
+      }
+    }
+
+    call()
+
+    return {
+      next () {
+        if (results.length) {
+          return Promise.resolve({ value: results.shift(), done: false })
+        }
+        if (closed) { return Promise.resolve({ value: undefined, done: true }) }
+        return new Promise(resolve => { waiting.push(resolve) })
+      },
+      return () {
+        close()
+        return Promise.resolve({ value: undefined, done: true })
+      },
+      [Symbol.asyncIterator] () { return this },
+      close,
       eventEmitter,
       on(...args) { eventEmitter.on(...args); return this }
-    })
+    }
   }
 
   /**
-   * Number of queued operations
-   * @return {number}
+   * Returns statistics about the calls of this instance since it was created.
+   * Each cache entry stores how long its `run()` call took. This makes it
+   * possible to estimate how much time the cache hits saved.
+   *
+   * ```javascript
+   * const { timeSaved } = myBuildFn.stats()
+   * console.log(`Saved ${Math.round(timeSaved / 1000)}s thanks to cache`)
+   * ```
+   * @return {object} Object with the following properties:
+   * - `hits`: Number of cache hits
+   * - `misses`: Number of cache misses
+   * - `errors`: Number of calls that rejected
+   * - `runDuration`: Total time in milliseconds spent inside `run()`
+   * - `timeSaved`: Estimated time in milliseconds saved by cache hits, i.e.
+   *   the sum of the original `run()` durations of the used cache entries
+   * - `keys`: Array with an object per cache key, sorted by `duration`
+   *   (slowest first). Each object has the properties `cacheKey`, `args`,
+   *   `hits`, `misses`, `duration` (the `run()` duration stored in the cache
+   *   entry) and `runDuration` (the time this instance spent in `run()`)
    */
-  get queuedCount () { return this._queue.length }
+  stats () {
+    const keys = [...this._stats.keys.values()]
+      .map(x => Object.assign({}, x))
+      .sort((a, b) => b.duration - a.duration)
+    const { hits, misses, errors } = this._stats
+    return {
+      hits,
+      misses,
+      errors,
+      runDuration: keys.reduce((sum, x) => sum + x.runDuration, 0),
+      timeSaved: keys.reduce((sum, x) => sum + x.hits * x.duration, 0),
+      keys
+    }
+  }
+
+  /**
+   * Reads the cache entry for the specified arguments without calling
+   * `run()` and without checking whether the entry is still valid.
+   *
+   * ```javascript
+   * const entry = await myBuildFn.getEntry(arg1, arg2)
+   * if (entry) { console.log(`Created ${new Date(entry.metadata.createdAt)}`) }
+   * ```
+   * @param {*} args
+   * @return {Promise<object|undefined>} Promise for an object with the
+   * properties `cacheKey`, `state`, `value` or `reason`, and `metadata` (see
+   * the static `metadata` property). `undefined` if there's no readable entry
+   */
+  async getEntry (...args) {
+    const { cacheKey } = await this._hashInput(args)
+    return this._readEntry(cacheKey)
+  }
+
+  /**
+   * Reads all cache entries in the namespace of this instance that were
+   * created by this class, i.e. by a class with the same name, including
+   * entries of other versions. Only entries with metadata are found (see the
+   * static `metadata` property).
+   * @return {Promise<object[]>} Promise for an array of objects like the ones
+   * that `getEntry()` returns. They're sorted by creation time, oldest first
+   */
+  async listEntries () {
+    const entries = await Promise.all((await this._storage.list())
+      .filter(cacheKey => namespaceOf(cacheKey) === this._namespace)
+      .map(cacheKey => this._readEntry(cacheKey)))
+    return entries
+      .filter(x => x && x.metadata &&
+                   x.metadata.className === this.constructor.name)
+      .sort((a, b) => a.metadata.createdAt - b.metadata.createdAt)
+  }
+
+  async _readEntry (cacheKey) {
+    const text = await this._storage.get(cacheKey)
+    if (!text) { return }
+
+    let result
+    try {
+      result = deserializeResult(text, this.constructor.codecs)
+    } catch (error) { return } // Unreadable
+
+    const { state, value, reason, metadata } = result
+    return state === 'fulfilled' ? { cacheKey, state, value, metadata }
+                                 : { cacheKey, state, reason, metadata }
+  }
 
   /**
-   * Clears the queue
+   * Removes cache entries until the specified limits hold. Entries that are
+   * too old are always removed. Beyond that, the least recently used entries
+   * are removed until the size and entry limits hold. The size of an entry
+   * includes the files and folders created through `this.cachePath()`.
+   * Entries that are currently in use are never removed, including the ones
+   * that other instances or processes are computing right now.
+   *
+   * ```javascript
+   * await myBuildFn.prune({ maxSize: 500 * 1024 * 1024, maxAge: 86400000 })
+   * ```
+   *
+   * Alternatively, you can pass the same options as `prune` constructor
+   * option. Then, the limits are enforced automatically after each write.
+   * @param {object} options
+   * @param {number} [options.maxSize] Maximum total size in bytes
+   * @param {number} [options.maxAge] Maximum time in milliseconds since the
+   * last access of an entry
+   * @param {number} [options.maxEntries] Maximum number of entries
+   * @return {Promise<string[]>} Cache keys of the removed entries
    */
-  clearQueue () { this._queue = [] }
+  async prune (options) {
+    if (!this._storage.stats) {
+      throw new Error('The storage does not support prune()')
+    }
+
+    const removedCacheKeys = selectEvictedEntries(
+      await this._storage.stats(), options,
+      cacheKey => this._currentlyRunningMap.has(cacheKey))
+
+    await Promise.all(removedCacheKeys.map(x => this._storage.delete(x)))
+    return removedCacheKeys
+  }
+
+  // Coalesces the automatic prune operations: At most one is running and at
+  // most one is scheduled to run after it
+  _autoPrune () {
+    if (!this._scheduledAutoPrune) {
+      const previous = this._runningAutoPrune || Promise.resolve()
+      const scheduled = previous.catch(() => {}).then(() => {
+        this._scheduledAutoPrune = undefined
+        this._runningAutoPrune = scheduled
+        return this.prune(this._autoPruneOptions)
+      })
+      this._scheduledAutoPrune = scheduled
+    }
+    return this._scheduledAutoPrune
+  }
 
   /**
    * The `CachedBuildFunction` internally keeps track of which cache entries
    * have been accessed since it was created. The `cleanUnused()` function
-   * removes any cache entries on disk that haven't been accessed.
+   * removes any cache entries in its namespace (see `options.namespace`)
+   * that haven't been accessed. Entries without namespace, which were created
+   * by older versions of this library, are removed as well. Cache entries
+   * that the accessed entries depend on (see `this.call()` inside `run()`)
+   * count as accessed, too. Entries that only the entries of other instances
+   * depend on don't. To keep them, clean up with
+   * `CachedBuildFunction.cleanUnused()` and pass all instances.
    * @return {Promise}
    */
   async cleanUnused () {
-    await Promise.all((await readdir(this._cachePath)).map(entry => {
-      if (!this._usedCacheKeys.has(entry.split(/\.|-/, 1)[0])) {
-        return remove(join(this._cachePath, entry))
-      }
-    }))
+    const { location } = this._storage
+    await deleteUnused(this._storage, cacheKey => {
+      const namespace = namespaceOf(cacheKey)
+      return (namespace === this._namespace || namespace === undefined) &&
+             !this._hasUsed(location, cacheKey)
+    })
   }
-}
 
-async function detectChanges (observedFiles) {
-  let changed = false
-  await Promise.all(observedFiles.map(async (x) => {
-    try {
-      if (await fileFingerprint(x.path) !== x.fingerprint) { changed = true }
-    } catch (error) {
-      if (error && error.code === 'ENOENT') {
-        changed = true
-      } else { throw error }
+  // Records that an entry is used through an entry that depends on it
+  _markUsed ({ location, cacheKey }) {
+    let cacheKeys = this._usedDependencies.get(location)
+    if (!cacheKeys) {
+      cacheKeys = new Set()
+      this._usedDependencies.set(location, cacheKeys)
     }
+    cacheKeys.add(cacheKey)
+  }
+
+  // Whether this instance has accessed the entry directly or through an entry
+  // that depends on it
+  _hasUsed (location, cacheKey) {
+    const dependencies = this._usedDependencies.get(location)
+    return (location === this._storage.location &&
+            this._usedCacheKeys.has(cacheKey)) ||
+           (!!dependencies && dependencies.has(cacheKey))
+  }
+}
+
+// Cache keys have the form `${namespace}_${hash}`. Returns `undefined` for
+// keys of other forms
+function namespaceOf (cacheKey) {
+  const separatorIndex = cacheKey.length - 41 // A SHA-1 hash has 40 digits
+  if (separatorIndex < 0 || cacheKey[separatorIndex] !== '_') { return }
+  return cacheKey.slice(0, separatorIndex)
+}
+
+// Removes the entries for which `isUnused()` returns true
+async function deleteUnused (storage, isUnused) {
+  await Promise.all((await storage.list()).map(cacheKey => {
+    if (isUnused(cacheKey)) { return storage.delete(cacheKey) }
   }))
-  return changed
 }
 
-async function callRunFn (runFn, args, path) {
+function getDependencyInfo (result) {
+  const {
+    observedFiles, observedFileSets = [], observedValues = [],
+    dependencies = [], expiresAt
+  } = result
+  return {
+    observedFiles, observedFileSets, observedValues, dependencies, expiresAt
+  }
+}
+
+function isSameEntry (dependency1, dependency2) {
+  return dependency1.cacheKey === dependency2.cacheKey &&
+    JSON.stringify(getDependencyInfo(dependency1)) ===
+    JSON.stringify(getDependencyInfo(dependency2))
+}
+
+// Returns the earliest of the expiry timestamps or `undefined` for never
+function earliest (...timestamps) {
+  const timestamp = Math.min(...timestamps.filter(x => x !== undefined))
+  return timestamp === Infinity ? undefined : timestamp
+}
+
+async function callRunFn (runFn, args, options) {
+  const { cachePath, fingerprintStrategy, timeout, values, signal } = options
   const observedFilePromises = []
+  const observedFileSetPromises = []
+  const observedValues = []
+  const observedValuePromises = []
+  const calledPromises = []
+  const artifactNames = new Set()
+  let expiresAt
+
+  // Aborted if the call is aborted or `run()` times out
+  const timeoutController = createAbortController()
+  const runSignal = anySignal([signal, timeoutController.signal])
+
+  const fingerprintFile = path => {
+    return fileFingerprint(path, fingerprintStrategy)
+      .then(fingerprint => { return { path, fingerprint } })
+  }
+
+  const observeFileSet = fileSet => {
+    const promise = listFileSet(fileSet)
+      .then(paths => Promise.all(paths.map(path => {
+        return fingerprintFile(path).catch(() => {}) // Removed meanwhile?
+      })))
+      .then(files => Object.assign(fileSet, { files: files.filter(x => x) }))
+    observedFileSetPromises.push(promise)
+  }
 
   const context = {
     observe (path) {
-      const promise = fileFingerprint(path)
-        .then(fingerprint => { return { path, fingerprint } })
-        .catch(() => {}) // Doesn't exist? Fine
+      const promise = fingerprintFile(path)
+        .catch(error => { // Doesn't exist? Record it as absent
+          if (isNotFoundError(error)) { return { path, fingerprint: null } }
+        })
       observedFilePromises.push(promise)
       return path
     },
-    cachePath (name) { return path + '-' + name }
+    observeDir (path) {
+      observeFileSet({ type: 'dir', path })
+      return path
+    },
+    observeGlob (pattern) {
+      observeFileSet({ type: 'glob', pattern })
+      return pattern
+    },
+    observeEnv (name) {
+      const value = process.env[name]
+      observedValues.push({
+        type: 'env', name, value: value === undefined ? null : value
+      })
+      return value
+    },
+    observePackageVersion (name) {
+      const promise = packageVersion(name)
+      observedValuePromises.push(promise.then(version => {
+        return { type: 'package', name, value: version }
+      }))
+      return promise
+    },
+    observeValue (label, value = values[label]) {
+      if (!(label in values)) {
+        // Recorded as missing (see `detectChanges()`), so that the error is
+        // only a cache hit until the label is added
+        observedValues.push({ type: 'value', name: label, value: null })
+        throw new Error(`observeValue(): The label "${label}" is missing in ` +
+                        'the values constructor option')
+      }
+      observedValues.push({
+        type: 'value', name: label, value: valueFingerprint(value, label)
+      })
+      return value
+    },
+    expiresIn (ms) {
+      expiresAt = earliest(expiresAt, Date.now() + ms)
+    },
+    expiresAt (date) {
+      expiresAt = earliest(expiresAt, new Date(date).getTime())
+    },
+    signal: runSignal.signal,
+    call (buildFn, ...args) {
+      const promise =
+        buildFn._run(args, { nested: true, signal: runSignal.signal })
+      calledPromises.push(promise)
+      return promise
+    },
+    cachePath (name) {
+      artifactNames.add(name)
+      return cachePath(name)
+    }
   }
 
   // Execute
   let value, reason, state
+  let timer
+  const startTime = Date.now()
+  const runPromise = new Promise(resolve => resolve(runFn.apply(context, args)))
+  runPromise.then(runSignal.dispose, runSignal.dispose)
   try {
-    value = await runFn.apply(context, args)
+    const timeoutPromise = new Promise((resolve, reject) => {
+      if (timeout === Infinity) { return }
+      timer = setTimeout(() => {
+        reject(new TimeoutError(timeout))
+        timeoutController.abort()
+      }, timeout)
+    })
+    value = await abortable(Promise.race([runPromise, timeoutPromise]), signal)
     state = 'fulfilled'
   } catch (err) {
     reason = err
     state = 'rejected'
   }
+  clearTimeout(timer)
+  const duration = Date.now() - startTime
+
+  // Don't wait for run() any longer. `abandonedRun` settles once it's done
+  if (reason instanceof TimeoutError || reason instanceof AbortError) {
+    return {
+      reason, state, observedFiles: [], observedFileSets: [],
+      observedValues: [], dependencies: [], artifacts: [], duration,
+      abandonedRun: runPromise.then(() => {}, () => {})
+    }
+  }
 
   const observedFiles = (await Promise.all(observedFilePromises)).filter(x => x)
+  const observedFileSets = await Promise.all(observedFileSetPromises)
+  observedValues.push(...await Promise.all(observedValuePromises))
+  const dependencies = []
+
+  // Adopt the observed files and dependencies of the called functions
+  await Promise.all(calledPromises.map(x => x.catch(() => {})))
+  for (let { _dependency: dependency } of calledPromises) {
+    if (!dependency.observedFiles) { continue } // Failed before it was known
+    observedFiles.push(...dependency.observedFiles)
+    observedFileSets.push(...dependency.observedFileSets)
+    observedValues.push(...dependency.observedValues)
+    const { location, cacheKey } = dependency
+    dependencies.push({ location, cacheKey }, ...dependency.dependencies)
+    expiresAt = earliest(expiresAt, dependency.expiresAt)
+  }
 
-  return { value, reason, state, observedFiles }
+  // Checksums of the files and folders that were stored inside the cache
+  const artifacts = []
+  if (state === 'fulfilled') {
+    await Promise.all([...artifactNames].map(async name => {
+      try {
+        const checksum = await artifactChecksum(cachePath(name))
+        artifacts.push({ name, checksum })
+      } catch (error) {
+        if (!isNotFoundError(error)) { throw error } // Not created? Fine
+      }
+    }))
+    artifacts.sort((a, b) => a.name < b.name ? -1 : 1)
+  }
+
+  return {
+    value, reason, state, observedFiles, observedFileSets, observedValues,
+    dependencies, artifacts, expiresAt, duration
+  }
 }
 
-async function callAfterFn (afterFn, args, path, inputValue) {
+async function callAfterFn (afterFn, args, cachePath, inputValue) {
   const context = {
     value: inputValue,
-    cachePath (name) { return path + '-' + name }
+    cachePath
   }
 
   // Execute
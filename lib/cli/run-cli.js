@@ -0,0 +1,297 @@
+import { pathExists } from 'fs-extra'
+import { inspect } from 'util'
+import FileSystemStorage from '../storage/file-system-storage'
+import decodeValue from '../serialization/decode-value'
+import detectChanges from '../utils/detect-changes'
+import verifyArtifacts from '../utils/verify-artifacts'
+import selectEvictedEntries from '../utils/select-evicted-entries'
+import sha1 from '../utils/sha1'
+
+const USAGE = `Usage: cached-build-function <command> <cachePath> [options]
+
+Commands:
+  ls <cachePath>            Lists the entries with size, age, state, class
+                            and observed files
+  show <cachePath> <key>    Shows the result and metadata of an entry. A
+                            unique prefix of the key suffices
+  verify <cachePath>        Checks whether the observed files are unchanged.
+                            Exits with code 1 if any entry is outdated.
+                            Observed environment variables, package versions
+                            and values are skipped, because they depend on
+                            the process that ran the build
+  prune <cachePath>         Removes least recently used entries. Options:
+    --max-size <size>         e.g. 500MB
+    --max-age <duration>      e.g. 7d (units: ms, s, m, h, d)
+    --max-entries <count>
+  clear <cachePath>         Removes all entries
+`
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 }
+const DURATION_UNITS = {
+  ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000
+}
+
+class UsageError extends Error {}
+
+// Runs the command line tool. Output is written to the `stdout` and `stderr`
+// streams. Resolves to the exit code.
+export default async function runCli (argv, { stdout, stderr }) {
+  const print = (text = '') => stdout.write(text + '\n')
+  try {
+    const [command, cachePath, ...rest] = argv
+    if (!command || command === 'help' || command === '--help') {
+      print(USAGE)
+      return 0
+    }
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Unknown command "${command}"`)
+    }
+    if (!cachePath) { throw new UsageError('Missing <cachePath>') }
+    if (!(await pathExists(cachePath))) {
+      throw new UsageError(`Folder "${cachePath}" does not exist`)
+    }
+    const storage = new FileSystemStorage(cachePath)
+    return (await COMMANDS[command](storage, rest, print)) || 0
+  } catch (error) {
+    if (!(error instanceof UsageError)) { throw error }
+    stderr.write(`Error: ${error.message}\n\n${USAGE}\n`)
+    return 1
+  }
+}
+
+const COMMANDS = {
+  async ls (storage, args, print) {
+    parseOptions(args, [])
+    const now = Date.now()
+    for (let stats of await sortedStats(storage)) {
+      const { entry, state } = await readEntry(storage, stats.cacheKey)
+      const metadata = (entry && entry.metadata) || {}
+      const age = stats.lastAccess ? formatDuration(now - stats.lastAccess)
+                                   : '-' // Only artifacts, no entry
+      print(`${stats.cacheKey}  ${formatSize(stats.size).padStart(9)}  ` +
+            `${age.padStart(5)}  ` +
+            `${state.padEnd(9)}` +
+            (metadata.className ? `  ${metadata.className}` : ''))
+      for (let path of entry ? listObservedPaths(entry) : []) {
+        print(`    ${path}`)
+      }
+    }
+  },
+
+  async show (storage, args, print) {
+    const [keyPrefix] = args
+    parseOptions(args.slice(1), [])
+    if (!keyPrefix) { throw new UsageError('Missing <key>') }
+    const cacheKeys = (await storage.list())
+      .filter(cacheKey => cacheKey.startsWith(keyPrefix))
+    if (cacheKeys.length !== 1) {
+      throw new UsageError(cacheKeys.length
+        ? `Key "${keyPrefix}" is ambiguous`
+        : `No entry with key "${keyPrefix}"`)
+    }
+
+    const [cacheKey] = cacheKeys
+    const stats = (await storage.stats()).find(x => x.cacheKey === cacheKey)
+    const { entry, state } = await readEntry(storage, cacheKey)
+    print(`Key:          ${cacheKey}`)
+    print(`State:        ${state}`)
+    print(`Size:         ${formatSize(stats.size)}`)
+    print(`Last access:  ${stats.lastAccess
+      ? new Date(stats.lastAccess).toISOString() : '-'}`)
+    if (!entry) { return }
+    const { metadata } = entry
+    if (metadata) {
+      print(`Class:        ${metadata.className}`)
+      print(`Version:      ${metadata.version}`)
+      print(`Input:        ${metadata.input}`)
+      print(`Created at:   ${new Date(metadata.createdAt).toISOString()}`)
+    }
+    if (entry.expiresAt !== undefined) {
+      print(`Expires at:   ${new Date(entry.expiresAt).toISOString()}`)
+    }
+    if (entry.duration !== undefined) {
+      print(`Duration:     ${formatDuration(entry.duration)}`)
+    }
+    printList(print, 'Observed files', entry.observedFiles.map(x => {
+      return `${x.path} (${x.fingerprint === null ? 'absent' : x.fingerprint})`
+    }))
+    printList(print, 'Observed file sets', (entry.observedFileSets || [])
+      .map(x => `${x.type === 'dir' ? x.path : x.pattern} (${x.type}, ` +
+                `${x.files.length} files)`))
+    printList(print, 'Observed values', (entry.observedValues || [])
+      .map(x => `${x.name} (${x.type}): ${x.value}`))
+    printList(print, 'Dependencies', (entry.dependencies || [])
+      .map(x => x.cacheKey))
+    printList(print, 'Artifacts', (entry.artifacts || [])
+      .map(x => `${x.name} (${x.checksum})`))
+    print()
+    if (entry.state === 'rejected') {
+      const { reason } = entry
+      print('Reason:')
+      print(reason.isError
+        ? reason.data.stack || `${reason.data.name}: ${reason.data.message}`
+        : formatValue(reason.data))
+    } else {
+      print('Value:')
+      print(formatValue(entry.value))
+    }
+  },
+
+  async verify (storage, args, print) {
+    parseOptions(args, [])
+    let outdatedCount = 0
+    for (let { cacheKey } of await sortedStats(storage)) {
+      let { entry, state } = await readEntry(storage, cacheKey)
+      if (entry && state !== 'expired') {
+        const fingerprintStrategy = guessFingerprintStrategy(entry)
+        const artifactProblem = await verifyArtifacts(entry.artifacts,
+          name => storage.artifactPath(cacheKey, name))
+        // Only the files can be checked from here. See `USAGE`
+        const filesOnly = Object.assign({}, entry, { observedValues: [] })
+        const change = !artifactProblem &&
+          await detectChanges(filesOnly, fingerprintStrategy)
+        if (artifactProblem) {
+          state = `${artifactProblem.reason} (${artifactProblem.artifact})`
+        } else if (change) {
+          state = `outdated (${describeChange(change)})`
+        } else {
+          state = 'valid'
+        }
+      }
+      if (state !== 'valid') { outdatedCount++ }
+      print(`${cacheKey}  ${state}`)
+    }
+    return outdatedCount ? 1 : 0
+  },
+
+  async prune (storage, args, print) {
+    const options = parseOptions(args, ['max-size', 'max-age', 'max-entries'])
+    const limits = {}
+    if (options['max-size'] !== undefined) {
+      limits.maxSize = parseQuantity(options['max-size'], SIZE_UNITS, 'B')
+    }
+    if (options['max-age'] !== undefined) {
+      limits.maxAge = parseQuantity(options['max-age'], DURATION_UNITS, 'ms')
+    }
+    if (options['max-entries'] !== undefined) {
+      limits.maxEntries = parseQuantity(options['max-entries'], {}, '')
+    }
+    if (!Object.keys(limits).length) {
+      throw new UsageError('Specify --max-size, --max-age or --max-entries')
+    }
+
+    // Entries in use are being computed by another process
+    const removedCacheKeys =
+      selectEvictedEntries(await storage.stats(), limits)
+    for (let cacheKey of removedCacheKeys) {
+      await storage.delete(cacheKey)
+      print(`Removed ${cacheKey}`)
+    }
+    print(`Removed ${removedCacheKeys.length} entries`)
+  },
+
+  async clear (storage, args, print) {
+    parseOptions(args, [])
+    const cacheKeys = await storage.list()
+    for (let cacheKey of cacheKeys) { await storage.delete(cacheKey) }
+    print(`Removed ${cacheKeys.length} entries`)
+  }
+}
+
+// Reads an entry without decoding its value, because custom codecs are only
+// known to the code that created the entry
+async function readEntry (storage, cacheKey) {
+  const text = await storage.get(cacheKey)
+  if (text === undefined) { return { state: 'incomplete' } }
+  try {
+    const { checksum, entry } = JSON.parse(text)
+    if (!entry || checksum !== sha1(JSON.stringify(entry))) {
+      return { state: 'corrupt' }
+    }
+    const expired = entry.expiresAt !== undefined &&
+                    Date.now() >= entry.expiresAt
+    return { entry, state: expired ? 'expired' : entry.state }
+  } catch (error) {
+    return { state: 'corrupt' }
+  }
+}
+
+async function sortedStats (storage) {
+  return (await storage.stats()).sort((a, b) => b.lastAccess - a.lastAccess)
+}
+
+function listObservedPaths (entry) {
+  return entry.observedFiles.map(x => x.path).concat(
+    (entry.observedFileSets || []).map(x => {
+      return x.type === 'dir' ? `${x.path}/` : x.pattern
+    }))
+}
+
+function describeChange (change) {
+  switch (change.reason) {
+    case 'valueChanged':
+      return `${change.type} ${change.name} changed`
+    case 'fileListChanged':
+      return `files in ${change.path || change.pattern} changed`
+    default:
+      return `${change.path} changed`
+  }
+}
+
+// Content fingerprints carry a prefix, stat fingerprints don't
+function guessFingerprintStrategy (entry) {
+  const files = entry.observedFiles
+    .concat(...(entry.observedFileSets || []).map(x => x.files))
+  const isContentFingerprint = x => /^sha1:/.test(x.fingerprint)
+  return files.some(isContentFingerprint) ? 'content' : 'stat'
+}
+
+function parseOptions (args, names) {
+  const options = {}
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '')
+    if (!args[i].startsWith('--') || !names.includes(name)) {
+      throw new UsageError(`Unexpected argument "${args[i]}"`)
+    }
+    if (args[i + 1] === undefined) {
+      throw new UsageError(`Missing value for "${args[i]}"`)
+    }
+    options[name] = args[i + 1]
+  }
+  return options
+}
+
+function parseQuantity (text, units, defaultUnit) {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-zA-Z]*)$/.exec(text)
+  const unit = match && (match[2] || defaultUnit)
+  const factor = match && (unit === defaultUnit
+    ? 1 : units[unit] || units[unit.toUpperCase()])
+  if (!factor) { throw new UsageError(`Invalid value "${text}"`) }
+  return Number(match[1]) * factor
+}
+
+function formatSize (size) {
+  const unit = ['GB', 'MB', 'KB'].find(x => size >= SIZE_UNITS[x]) || 'B'
+  return `${Math.round(size / SIZE_UNITS[unit] * 10) / 10} ${unit}`
+}
+
+function formatDuration (duration) {
+  const unit = ['d', 'h', 'm', 's'].find(x => duration >= DURATION_UNITS[x])
+  return unit
+    ? `${Math.floor(duration / DURATION_UNITS[unit])}${unit}`
+    : `${Math.round(duration)}ms`
+}
+
+function formatValue (encodedValue) {
+  try {
+    return inspect(decodeValue(encodedValue), { depth: null })
+  } catch (error) { // E.g. custom codec unknown here
+    return inspect(encodedValue, { depth: null })
+  }
+}
+
+function printList (print, title, items) {
+  if (!items.length) { return }
+  print(`${title}:`)
+  for (let item of items) { print(`    ${item}`) }
+}
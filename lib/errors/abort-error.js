@@ -0,0 +1,11 @@
+/**
+ * Error with which a call rejects if it's aborted through its `AbortSignal` or
+ * through `clearQueue()`
+ */
+export default class AbortError extends Error {
+  constructor () {
+    super('The operation was aborted')
+    this.name = 'AbortError'
+    this.code = 'ABORT_ERR'
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Error with which a call rejects if `run()` exceeds its timeout
+ */
+export default class TimeoutError extends Error {
+  constructor (timeout) {
+    super(`run() timed out after ${timeout}ms`)
+    this.name = 'TimeoutError'
+    this.code = 'ERUNTIMEOUT'
+    this.timeout = timeout
+  }
+}
@@ -0,0 +1,148 @@
+import EventEmitter from 'events'
+import AbortError from '../errors/abort-error'
+
+// Lets the cache checks of the queued items complete, reports their results
+// and then lets the items run. Each item is an object of the form
+// `{ buildFn, args, promise, checkedCache, continueRunning, abort }`. See
+// `CachedBuildFunction.prototype.flush()` for the options and the returned
+// promise.
+export default function flushQueue (queue, options) {
+  const { promise: promiseType = 'all', signal } = options || {}
+
+  const eventEmitter = new EventEmitter()
+
+  // Calls that are already running react to the signal themselves
+  if (signal) {
+    const abort = () => {
+      for (let item of queue) {
+        item.promise.catch(() => {}) // Possibly ignored, e.g. `promise: false`
+        item.abort(new AbortError())
+      }
+    }
+    if (signal.aborted) { abort() } else {
+      signal.addEventListener('abort', abort)
+      Promise.all(queue.map(item => item.promise.catch(() => {}))).then(() => {
+        signal.removeEventListener('abort', abort)
+      })
+    }
+  }
+
+  // Progress
+  const count = queue.length
+  let completedCount = 0
+  let failedCount = 0
+  let runningCount = 0
+  let cacheMissCount
+  let settledMissCount = 0
+  let startTime
+  const progress = () => {
+    // Extrapolates from the misses that have already settled
+    let eta
+    if (settledMissCount) {
+      const elapsed = Date.now() - startTime
+      eta = elapsed / settledMissCount * (cacheMissCount - settledMissCount)
+    }
+    return { count, completedCount, failedCount, runningCount, eta }
+  }
+  const emitProgress = (eventName, data) => {
+    eventEmitter.emit(eventName, Object.assign(data, progress()))
+  }
+
+  // Results in completion order. See `promise: 'iterator'`
+  const results = []
+  const waiting = []
+  const pushResult = result => {
+    if (waiting.length) {
+      waiting.shift()({ value: result, done: false })
+    } else {
+      results.push(result)
+    }
+    if (completedCount + failedCount === count) {
+      for (let resolve of waiting.splice(0)) {
+        resolve({ value: undefined, done: true })
+      }
+    }
+  }
+
+  Promise.all(queue.map(item => item.checkedCache))
+    .then(cacheResults => {
+      const functionsMap = new Map()
+      for (let [i, { buildFn }] of queue.entries()) {
+        let stats = functionsMap.get(buildFn)
+        if (!stats) {
+          stats = { buildFn, count: 0, cacheHitCount: 0, cacheMissCount: 0 }
+          functionsMap.set(buildFn, stats)
+        }
+        stats.count++
+        if (cacheResults[i]) { stats.cacheHitCount++ } else {
+          stats.cacheMissCount++
+        }
+      }
+
+      const cacheHitCount = cacheResults.filter(x => x).length
+      cacheMissCount = count - cacheHitCount
+      const functions = [...functionsMap.values()]
+      const eventData = { count, cacheHitCount, cacheMissCount, functions }
+      eventEmitter.emit('checkedCache', eventData)
+
+      startTime = Date.now()
+      for (let [i, item] of queue.entries()) {
+        const { buildFn, args } = item
+        let started = false
+        item.promise.on('started', () => {
+          started = true
+          runningCount++
+          emitProgress('started', { buildFn, args })
+        })
+        const settle = () => {
+          if (started) { runningCount-- }
+          if (!cacheResults[i]) { settledMissCount++ }
+        }
+        item.promise.then(value => {
+          settle()
+          completedCount++
+          emitProgress('completed', { buildFn, args, value })
+          pushResult({ args, value })
+        }, reason => {
+          settle()
+          failedCount++
+          emitProgress('failed', { buildFn, args, reason })
+          pushResult({ args, reason })
+        })
+        item.continueRunning(signal)
+      }
+    })
+
+  let promise = {}
+  switch (promiseType) {
+    case 'all':
+      promise = Promise.all(queue.map(item => item.promise))
+      break
+    case 'allSettled':
+      promise = Promise.all(queue.map(item => item.promise.then(
+        value => { return { value, state: 'fulfilled' } },
+        reason => { return { reason, state: 'rejected' } }
+      )))
+      break
+    case 'iterator':
+      for (let item of queue) { item.promise.catch(() => {}) } // Yielded
+      promise = {
+        next () {
+          if (results.length) {
+            return Promise.resolve({ value: results.shift(), done: false })
+          }
+          if (completedCount + failedCount === count) {
+            return Promise.resolve({ value: undefined, done: true })
+          }
+          return new Promise(resolve => { waiting.push(resolve) })
+        },
+        [Symbol.asyncIterator] () { return this }
+      }
+      break
+  }
+
+  return Object.assign(promise, {
+    eventEmitter,
+    on(...args) { eventEmitter.on(...args); return this }
+  })
+}
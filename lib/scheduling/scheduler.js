@@ -0,0 +1,73 @@
+import Limiter from '../utils/limiter'
+import flushQueue from './flush-queue'
+
+/**
+ * Coordinates several `CachedBuildFunction` instances, e.g. the resize,
+ * optimize and manifest steps of a build. Instances join the scheduler
+ * through the `scheduler` constructor option. Their calls to `run()` then
+ * share the scheduler's concurrency budget (in addition to their own
+ * `concurrency` limit). Calls of other build functions through `this.call()`
+ * inside `run()` don't take up additional slots, because the calling `run()`
+ * already holds one.
+ *
+ * ```javascript
+ * const scheduler = new CachedBuildFunction.Scheduler({ concurrency: 4 })
+ * const resize = new Resize({ cachePath: 'cache/resize', scheduler })
+ * const optimize = new Optimize({ cachePath: 'cache/optimize', scheduler })
+ *
+ * resize.enqueue('a.png')
+ * optimize.enqueue('b.png')
+ * await scheduler.flush()
+ *   .on('checkedCache', ({ cacheHitCount, cacheMissCount }) => { ... })
+ * ```
+ */
+export default class Scheduler {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.concurrency] Maximum number of `run()` calls
+   * that can be in progress at the same time across all instances. Default:
+   * `Infinity`
+   */
+  constructor (options) {
+    const { concurrency = Infinity } = options || {}
+    if (!(concurrency >= 1)) {
+      throw new Error('options.concurrency must be a number greater than 0')
+    }
+    this._limiter = new Limiter(concurrency)
+    this._buildFns = []
+  }
+
+  // Called by the constructor of `CachedBuildFunction`
+  _add (buildFn) {
+    this._buildFns.push(buildFn)
+  }
+
+  /**
+   * Flushes the queues of all instances together. Takes the same options as
+   * `CachedBuildFunction.prototype.flush()`. The results are ordered by
+   * instance (in the order in which they joined the scheduler) and then by
+   * the order of the `enqueue()` calls.
+   * @param {object} [options]
+   * @return {Promise} Promise with the same extra properties as the one
+   * `flush()` returns. The data of the `'checkedCache'` event additionally
+   * has a `functions` property: An array with an object per instance with
+   * queued items. Each object has the properties `buildFn`, `count`,
+   * `cacheHitCount` and `cacheMissCount`.
+   */
+  flush (options) {
+    const queue = []
+    for (let buildFn of this._buildFns) {
+      queue.push(...buildFn._queue)
+      buildFn._queue = []
+    }
+    return flushQueue(queue, options)
+  }
+
+  /**
+   * Number of queued operations across all instances
+   * @return {number}
+   */
+  get queuedCount () {
+    return this._buildFns.reduce((sum, x) => sum + x.queuedCount, 0)
+  }
+}
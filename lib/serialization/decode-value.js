@@ -0,0 +1,57 @@
+const TYPED_ARRAYS = [
+  Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+  Int32Array, Uint32Array, Float32Array, Float64Array
+]
+if (typeof BigInt64Array !== 'undefined') {
+  TYPED_ARRAYS.push(BigInt64Array, BigUint64Array)
+}
+
+// Decodes a structure created by `encodeValue()`
+export default function decodeValue (data, codecs = []) {
+  const decode = x => decodeValue(x, codecs)
+
+  if (Array.isArray(data)) { return data.map(decode) }
+  if (data === null || typeof data !== 'object') { return data }
+
+  const decodeObject = object => {
+    const decoded = {}
+    for (let key of Object.keys(object)) { decoded[key] = decode(object[key]) }
+    return decoded
+  }
+
+  if (typeof data.$ !== 'string') { return decodeObject(data) }
+
+  const TypedArray = TYPED_ARRAYS.find(x => x.name === data.$)
+  if (TypedArray) {
+    const buffer = Buffer.from(data.v, 'base64')
+    const arrayBuffer = buffer.buffer.slice(
+      buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+    return new TypedArray(arrayBuffer)
+  }
+
+  switch (data.$) {
+    case 'undefined': return undefined
+    case 'Number': return Number(data.v)
+    case 'BigInt': return BigInt(data.v)
+    case 'Buffer': return Buffer.from(data.v, 'base64')
+    case 'ArrayBuffer': {
+      const buffer = Buffer.from(data.v, 'base64')
+      return buffer.buffer.slice(
+        buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+    }
+    case 'Date': return new Date(data.v)
+    case 'RegExp': return new RegExp(data.v[0], data.v[1])
+    case 'Map': return new Map(data.v.map(([k, v]) => [decode(k), decode(v)]))
+    case 'Set': return new Set(data.v.map(decode))
+    case 'Object': return decodeObject(data.v)
+    case 'Custom': {
+      const codec = codecs.find(x => x.name === data.name)
+      if (!codec) {
+        throw new Error(`No codec for custom type "${data.name}" registered`)
+      }
+      return codec.deserialize(decode(data.v))
+    }
+    default:
+      throw new Error(`Cannot deserialize value of unknown type "${data.$}"`)
+  }
+}
@@ -1,5 +1,13 @@
-export default function deserializeResult (text) {
-  const result = JSON.parse(text)
+import decodeValue from './decode-value'
+import sha1 from '../utils/sha1'
+
+export default function deserializeResult (text, codecs) {
+  const { checksum, entry: result } = JSON.parse(text)
+  if (!result || checksum !== sha1(JSON.stringify(result))) {
+    throw new Error('Checksum mismatch')
+  }
+
+  result.value = decodeValue(result.value, codecs)
 
   // Restore reason
   if (result.reason) {
@@ -7,7 +15,7 @@ export default function deserializeResult (text) {
       result.reason =
         Object.assign(new Error(), { stack: undefined }, result.reason.data)
     } else {
-      result.reason = result.reason.data
+      result.reason = decodeValue(result.reason.data, codecs)
     }
   }
 
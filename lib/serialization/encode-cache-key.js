@@ -0,0 +1,125 @@
+import fileFingerprint from '../utils/file-fingerprint'
+import isNotFoundError from '../utils/is-not-found-error'
+
+/**
+ * Marker for the content of a file inside a cache key. See
+ * `CachedBuildFunction.fileContent()`
+ */
+export class FileContent {
+  constructor (path) {
+    if (typeof path !== 'string') {
+      throw new TypeError('The path of fileContent() must be a string')
+    }
+    this.path = path
+  }
+}
+
+// Encodes a value into a canonical JSON string that is used as the input of
+// the cache key hash. Unlike `JSON.stringify()`, the result doesn't depend on
+// the order of object properties or of the items in `Map`s and `Set`s, and
+// `undefined`, `Buffer`s etc. keep their identity. Values that can't be
+// encoded reliably, like functions and circular structures, throw. `name`
+// is used to describe the location of such values in the error message.
+// `FileContent` markers are encoded by the fingerprints in `fileFingerprints`,
+// a `Map` from paths to fingerprints. Unknown paths are added to it, so that
+// `fingerprintFiles()` can fill them in before encoding the value again.
+export default function encodeCacheKey (
+  value, name = 'value', fileFingerprints = new Map()
+) {
+  return JSON.stringify(encode(value, name, [], fileFingerprints))
+}
+
+// Fingerprints the content of the files in a map that was passed to
+// `encodeCacheKey()`. Absent files get the fingerprint `null`
+export async function fingerprintFiles (fileFingerprints) {
+  await Promise.all([...fileFingerprints.keys()].map(async path => {
+    let fingerprint
+    try {
+      fingerprint = await fileFingerprint(path, 'content')
+    } catch (error) {
+      if (!isNotFoundError(error)) { throw error }
+      fingerprint = null
+    }
+    fileFingerprints.set(path, fingerprint)
+  }))
+}
+
+function encode (value, path, ancestors, fileFingerprints) {
+  switch (typeof value) {
+    case 'string':
+    case 'boolean':
+      return value
+    case 'number':
+      if (Number.isFinite(value) && !Object.is(value, -0)) { return value }
+      return { $: 'Number', v: String(Object.is(value, -0) ? '-0' : value) }
+    case 'bigint':
+      return { $: 'BigInt', v: value.toString() }
+    case 'undefined':
+      return { $: 'undefined' }
+    case 'function':
+    case 'symbol':
+      throw new TypeError(
+        `Cannot use a ${typeof value} in a cache key (at ${path})`)
+  }
+
+  if (value === null) { return null }
+
+  if (ancestors.includes(value)) {
+    throw new TypeError(
+      `Cannot use a value with circular structure in a cache key (at ${path})`)
+  }
+  const encodeChild = (x, childPath) =>
+    encode(x, childPath, ancestors.concat([value]), fileFingerprints)
+
+  if (value instanceof FileContent) {
+    if (!fileFingerprints.has(value.path)) {
+      fileFingerprints.set(value.path, undefined)
+    }
+    return { $: 'FileContent', v: fileFingerprints.get(value.path) }
+  }
+  if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+    const buffer = Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+    const type = Buffer.isBuffer(value) ? 'Buffer' : value.constructor.name
+    return { $: type, v: buffer.toString('base64') }
+  }
+  if (value instanceof ArrayBuffer) {
+    return { $: 'ArrayBuffer', v: Buffer.from(value).toString('base64') }
+  }
+  if (value instanceof Date) { return { $: 'Date', v: value.getTime() } }
+  if (value instanceof RegExp) {
+    return { $: 'RegExp', v: [value.source, value.flags] }
+  }
+  if (value instanceof Map) {
+    const entries = [...value].map(([k, v], i) => [
+      encodeChild(k, `${path}.keys[${i}]`),
+      encodeChild(v, `${path}.values[${i}]`)
+    ])
+    return { $: 'Map', v: sortByJSON(entries, x => x[0]) }
+  }
+  if (value instanceof Set) {
+    const items = [...value].map((x, i) => encodeChild(x, `${path}[${i}]`))
+    return { $: 'Set', v: sortByJSON(items, x => x) }
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, (x, i) => encodeChild(x, `${path}[${i}]`))
+  }
+  if (typeof value.toJSON === 'function') {
+    return encodeChild(value.toJSON(), path)
+  }
+
+  // Properties that are `undefined` are treated like missing ones
+  const object = {}
+  for (let key of Object.keys(value).sort()) {
+    if (value[key] === undefined) { continue }
+    object[key] = encodeChild(value[key], `${path}.${key}`)
+  }
+  // Escape objects that would be mistaken for encoded values
+  return '$' in object ? { $: 'Object', v: object } : object
+}
+
+function sortByJSON (items, getSortValue) {
+  return items
+    .map(x => ({ item: x, json: JSON.stringify(getSortValue(x)) }))
+    .sort((a, b) => a.json < b.json ? -1 : a.json > b.json ? 1 : 0)
+    .map(x => x.item)
+}
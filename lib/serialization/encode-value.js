@@ -0,0 +1,78 @@
+// Encodes a value into a structure that can be stored as JSON. Values that
+// JSON can't represent are encoded as objects with a `$` property that
+// contains their type. See `decodeValue()` for the reverse operation.
+export default function encodeValue (value, codecs = [], ancestors = []) {
+  for (let codec of codecs) {
+    if (codec.test(value)) {
+      const data = codec.serialize(value)
+      return { $: 'Custom', name: codec.name, v: encodeChild(data) }
+    }
+  }
+
+  switch (typeof value) {
+    case 'string':
+    case 'boolean':
+      return value
+    case 'number':
+      if (Number.isFinite(value) && !Object.is(value, -0)) { return value }
+      return { $: 'Number', v: String(Object.is(value, -0) ? '-0' : value) }
+    case 'bigint':
+      return { $: 'BigInt', v: value.toString() }
+    case 'undefined':
+      return { $: 'undefined' }
+    case 'function':
+    case 'symbol':
+      return undefined // Dropped, like in JSON
+  }
+
+  if (value === null) { return null }
+
+  if (ancestors.includes(value)) {
+    throw new TypeError('Cannot serialize value with circular structure')
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return { $: 'Buffer', v: value.toString('base64') }
+  }
+  if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+    const buffer = Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+    return { $: value.constructor.name, v: buffer.toString('base64') }
+  }
+  if (value instanceof ArrayBuffer) {
+    return { $: 'ArrayBuffer', v: Buffer.from(value).toString('base64') }
+  }
+  if (value instanceof Date) { return { $: 'Date', v: value.getTime() } }
+  if (value instanceof RegExp) {
+    return { $: 'RegExp', v: [value.source, value.flags] }
+  }
+  if (value instanceof Map) {
+    return {
+      $: 'Map',
+      v: [...value].map(([k, v]) => [encodeChild(k), encodeChild(v)])
+    }
+  }
+  if (value instanceof Set) {
+    return { $: 'Set', v: [...value].map(encodeChild) }
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, x => {
+      const encoded = encodeChild(x)
+      return encoded === undefined ? null : encoded // Like in JSON
+    })
+  }
+  if (typeof value.toJSON === 'function') {
+    return encodeChild(value.toJSON())
+  }
+
+  const object = {}
+  for (let key of Object.keys(value)) {
+    const encoded = encodeChild(value[key])
+    if (encoded !== undefined) { object[key] = encoded }
+  }
+  // Escape objects that would be mistaken for encoded values
+  return '$' in object ? { $: 'Object', v: object } : object
+
+  function encodeChild (x) {
+    return encodeValue(x, codecs, ancestors.concat([value]))
+  }
+}
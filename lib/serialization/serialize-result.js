@@ -1,7 +1,13 @@
 import serializeError from 'serialize-error'
+import encodeValue from './encode-value'
+import sha1 from '../utils/sha1'
 
-export default function serializeResult (result) {
-  const { value, state, observedFiles } = result
+export default function serializeResult (result, codecs) {
+  const {
+    state, observedFiles, observedFileSets, observedValues, dependencies,
+    artifacts, expiresAt, duration, metadata
+  } = result
+  const value = encodeValue(result.value, codecs)
 
   // Store reason
   let reason
@@ -9,10 +15,14 @@ export default function serializeResult (result) {
     if (result.reason instanceof Error) {
       reason = { isError: true, data: serializeError(result.reason) }
     } else {
-      reason = { isError: false, data: result.reason }
+      reason = { isError: false, data: encodeValue(result.reason, codecs) }
     }
   }
 
-  // Write cache file
-  return JSON.stringify({ value, reason, state, observedFiles })
+  // The checksum allows to detect corrupted cache files
+  const text = JSON.stringify({
+    value, reason, state, observedFiles, observedFileSets, observedValues,
+    dependencies, artifacts, expiresAt, duration, metadata
+  })
+  return `{"checksum":"${sha1(text)}","entry":${text}}`
 }
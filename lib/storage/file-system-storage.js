@@ -0,0 +1,113 @@
+import { ensureDir, readdir, readFile, remove, stat, utimes } from 'fs-extra'
+import writeFileAtomic from 'write-file-atomic'
+import { join, resolve } from 'path'
+import diskUsage from '../utils/disk-usage'
+import acquireFileLock from '../utils/file-lock'
+
+const LOCK_PATTERN = /^[^.-]+\.lock$/
+
+/**
+ * Default storage of `CachedBuildFunction`. It stores the cache entries as
+ * `${cacheKey}.json` files inside a folder. Artifacts are stored next to them
+ * with paths of the form `${cacheKey}-${name}`. Locks are directories of the
+ * form `${cacheKey}.lock`.
+ */
+export default class FileSystemStorage {
+  /**
+   * @param {string} path Path to the cache folder. It is created if it does
+   * not already exist
+   */
+  constructor (path) {
+    this.path = path
+    this.location = resolve(path)
+    this._dirEnsured = false
+    this._dirEnsuredPromise =
+      ensureDir(path).then(() => this._dirEnsured = true)
+  }
+
+  async get (cacheKey) {
+    if (!this._dirEnsured) { await this._dirEnsuredPromise }
+    try {
+      return (await readFile(join(this.path, cacheKey + '.json'))).toString()
+    } catch (e) {}
+  }
+
+  async put (cacheKey, text) {
+    if (!this._dirEnsured) { await this._dirEnsuredPromise }
+    await new Promise((resolve, reject) => {
+      writeFileAtomic(join(this.path, cacheKey + '.json'), text, (err) => {
+        if (err) { reject(err) } else { resolve() }
+      })
+    })
+  }
+
+  // The modification time of the JSON file serves as last access time
+  async touch (cacheKey) {
+    const now = new Date()
+    try {
+      await utimes(join(this.path, cacheKey + '.json'), now, now)
+    } catch (e) {} // Removed meanwhile? Fine
+  }
+
+  // Entries that are locked or don't have a JSON file yet are being computed,
+  // possibly by another process. They're marked as `inUse`
+  async stats () {
+    if (!this._dirEnsured) { await this._dirEnsuredPromise }
+    const allEntries = await readdir(this.path)
+    const lockedCacheKeys = new Set(allEntries
+      .filter(x => LOCK_PATTERN.test(x))
+      .map(x => x.split('.', 1)[0]))
+    const entries = allEntries.filter(x => !LOCK_PATTERN.test(x))
+
+    const statsMap = new Map()
+    await Promise.all(entries.map(async entry => {
+      const cacheKey = entry.split(/\.|-/, 1)[0]
+      let stats = statsMap.get(cacheKey)
+      if (!stats) {
+        const inUse = lockedCacheKeys.has(cacheKey) ||
+                      !entries.includes(cacheKey + '.json')
+        stats = { cacheKey, size: 0, lastAccess: 0, inUse }
+        statsMap.set(cacheKey, stats)
+      }
+
+      const path = join(this.path, entry)
+      try {
+        stats.size += await diskUsage(path)
+        if (entry === cacheKey + '.json') {
+          stats.lastAccess = (await stat(path)).mtimeMs
+        }
+      } catch (e) {} // Removed meanwhile? Fine
+    }))
+    return [...statsMap.values()]
+  }
+
+  async list () {
+    if (!this._dirEnsured) { await this._dirEnsuredPromise }
+    const entries = await this._readdir()
+    return [...new Set(entries.map(entry => entry.split(/\.|-/, 1)[0]))]
+  }
+
+  async delete (cacheKey) {
+    if (!this._dirEnsured) { await this._dirEnsuredPromise }
+    await Promise.all((await this._readdir()).map(entry => {
+      if (entry.split(/\.|-/, 1)[0] === cacheKey) {
+        return remove(join(this.path, entry))
+      }
+    }))
+  }
+
+  async lock (cacheKey) {
+    if (!this._dirEnsured) { await this._dirEnsuredPromise }
+    return acquireFileLock(join(this.path, cacheKey + '.lock'))
+  }
+
+  // Lists the folder content except for the locks, because they belong to
+  // whoever holds them
+  async _readdir () {
+    return (await readdir(this.path)).filter(x => !LOCK_PATTERN.test(x))
+  }
+
+  artifactPath (cacheKey, name) {
+    return join(this.path, cacheKey + '-' + name)
+  }
+}
@@ -0,0 +1,81 @@
+import { ensureDirSync, readdir, remove } from 'fs-extra'
+import { join } from 'path'
+import diskUsage from '../utils/disk-usage'
+
+let memoryStorageIndex = 0
+
+/**
+ * Storage that keeps the cache entries in memory. It is intended for unit
+ * tests. Artifacts are only supported if an `artifactsPath` is provided.
+ */
+export default class MemoryStorage {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.artifactsPath] Folder for the files and folders
+   * created through `this.cachePath()`. It is created if it does not already
+   * exist
+   */
+  constructor (options) {
+    const { artifactsPath } = options || {}
+    this.location = `memory:${memoryStorageIndex++}`
+    this._artifactsPath = artifactsPath
+    if (artifactsPath) { ensureDirSync(artifactsPath) }
+    this._entries = new Map()
+    this._lastAccessMap = new Map()
+  }
+
+  async get (cacheKey) {
+    return this._entries.get(cacheKey)
+  }
+
+  async put (cacheKey, text) {
+    this._entries.set(cacheKey, text)
+    this._lastAccessMap.set(cacheKey, Date.now())
+  }
+
+  async touch (cacheKey) {
+    if (this._entries.has(cacheKey)) {
+      this._lastAccessMap.set(cacheKey, Date.now())
+    }
+  }
+
+  async stats () {
+    const artifactEntries = await this._listArtifactEntries()
+    return Promise.all([...this._entries].map(async ([cacheKey, text]) => {
+      let size = Buffer.byteLength(text)
+      for (let entry of artifactEntries) {
+        if (entry.split('-', 1)[0] === cacheKey) {
+          size += await diskUsage(join(this._artifactsPath, entry))
+        }
+      }
+      return { cacheKey, size, lastAccess: this._lastAccessMap.get(cacheKey) }
+    }))
+  }
+
+  async list () {
+    return [...this._entries.keys()]
+  }
+
+  async delete (cacheKey) {
+    this._entries.delete(cacheKey)
+    this._lastAccessMap.delete(cacheKey)
+    await Promise.all((await this._listArtifactEntries()).map(entry => {
+      if (entry.split('-', 1)[0] === cacheKey) {
+        return remove(join(this._artifactsPath, entry))
+      }
+    }))
+  }
+
+  async _listArtifactEntries () {
+    if (!this._artifactsPath) { return [] }
+    try { return await readdir(this._artifactsPath) } catch (e) { return [] }
+  }
+
+  artifactPath (cacheKey, name) {
+    if (!this._artifactsPath) {
+      throw new Error('MemoryStorage needs options.artifactsPath to support ' +
+                      'this.cachePath()')
+    }
+    return join(this._artifactsPath, cacheKey + '-' + name)
+  }
+}
@@ -0,0 +1,59 @@
+import EventEmitter from 'events'
+import AbortError from '../errors/abort-error'
+
+// Returns a promise that settles like the promise or rejects with an
+// `AbortError` as soon as the signal is aborted
+export default function abortable (promise, signal) {
+  if (!signal) { return promise }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => { reject(new AbortError()) }
+    if (signal.aborted) { return onAbort() }
+    signal.addEventListener('abort', onAbort)
+    promise.then(resolve, reject).then(() => {
+      signal.removeEventListener('abort', onAbort)
+    })
+  })
+}
+
+// Returns `{ signal, dispose }`. The signal is aborted as soon as one of the
+// signals is aborted. `dispose()` removes the listeners from the signals
+export function anySignal (signals) {
+  signals = signals.filter(x => x)
+  if (signals.length <= 1) { return { signal: signals[0], dispose () {} } }
+  const controller = createAbortController()
+  const onAbort = () => { controller.abort() }
+  for (let signal of signals) {
+    if (signal.aborted) { controller.abort() }
+    signal.addEventListener('abort', onAbort)
+  }
+  return {
+    signal: controller.signal,
+    dispose () {
+      for (let signal of signals) {
+        signal.removeEventListener('abort', onAbort)
+      }
+    }
+  }
+}
+
+// `AbortController` is available as of Node.js 15. Older versions get a
+// minimal replacement that supports what this library needs
+export function createAbortController () {
+  if (typeof AbortController !== 'undefined') { return new AbortController() }
+  const eventEmitter = new EventEmitter()
+  const signal = {
+    aborted: false,
+    addEventListener (type, listener) { eventEmitter.on(type, listener) },
+    removeEventListener (type, listener) {
+      eventEmitter.removeListener(type, listener)
+    }
+  }
+  return {
+    signal,
+    abort () {
+      if (signal.aborted) { return }
+      signal.aborted = true
+      eventEmitter.emit('abort')
+    }
+  }
+}
@@ -0,0 +1,19 @@
+import { lstat, readdir } from 'fs-extra'
+import { join } from 'path'
+import fileFingerprint from './file-fingerprint'
+import sha1 from './sha1'
+
+// Returns a checksum of the content of a file or of all files inside a
+// folder. Content hashes are memoized, see `fileFingerprint()`.
+export default async function artifactChecksum (path) {
+  const stats = await lstat(path)
+  if (!stats.isDirectory()) { return fileFingerprint(path, 'content') }
+
+  const entries = (await readdir(path)).sort()
+  const checksums = await Promise.all(entries.map(entry => {
+    return artifactChecksum(join(path, entry))
+  }))
+  return 'sha1:' + sha1(JSON.stringify(entries.map((entry, i) => {
+    return [entry, checksums[i]]
+  })))
+}
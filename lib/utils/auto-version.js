@@ -0,0 +1,103 @@
+import { readFileSync } from 'fs'
+import Module from 'module'
+import { dirname, relative, resolve, sep } from 'path'
+import sha1 from './sha1'
+
+const LIBRARY_PATH = resolve(__dirname, '..')
+
+// Matches relative module specifiers of imports, re-exports and requires
+const SPECIFIER_REGEXES = [
+  /\bfrom\s*['"](\.\.?\/[^'"]+)['"]/g,
+  /\bimport\s*\(?\s*['"](\.\.?\/[^'"]+)['"]/g,
+  /\brequire\s*\(\s*['"](\.\.?\/[^'"]+)['"]\s*\)/g
+]
+
+// Matches imports and requires together with their bindings
+const BINDING_REGEXES = [
+  /\bimport\s+([^'";]+?)\s+from\s*['"](\.\.?\/[^'"]+)['"]/g,
+  /\b(?:const|let|var)\s+([^=;]+?)\s*=\s*require\(\s*['"](\.\.?\/[^'"]+)['"]/g
+]
+
+// Derives a version from the source code of the functions and the content of
+// the local modules that the file imports and that the functions use, i.e.
+// whose imported bindings appear in their source code. Local modules are
+// modules with relative paths. Their own local imports are included
+// recursively. Paths are hashed relative to the file, which makes the version
+// independent of the location of the project.
+export default function autoVersion (functions, file) {
+  const sources = functions.filter(x => x).map(x => x.toString())
+  const modules = new Map() // Maps paths to contents
+
+  const addModule = (fromFile, specifier) => {
+    let path
+    try {
+      path = resolveModule(specifier, fromFile)
+    } catch (error) { return } // Not a module, e.g. a missing optional one
+    if (modules.has(path)) { return }
+    const content = readFileSync(path, 'utf8')
+    modules.set(path, content)
+    for (let regex of SPECIFIER_REGEXES) {
+      for (let [, specifier] of matchAll(regex, content)) {
+        addModule(path, specifier)
+      }
+    }
+  }
+
+  if (file) {
+    const content = readFileSync(file, 'utf8')
+    for (let regex of BINDING_REGEXES) {
+      for (let [, bindings, specifier] of matchAll(regex, content)) {
+        const names = bindings.match(/[A-Za-z_$][\w$]*/g) || []
+        if (names.some(name => isUsed(name, sources))) {
+          addModule(file, specifier)
+        }
+      }
+    }
+  }
+
+  const baseDir = file ? dirname(file) : ''
+  const moduleContents = [...modules]
+    .map(([path, content]) => [relative(baseDir, path), content])
+    .sort((a, b) => a[0] < b[0] ? -1 : 1)
+  return 'auto:' + sha1(JSON.stringify([sources, moduleContents]))
+}
+
+// Returns the file of the first frame of the stack trace that doesn't belong
+// to this library or to Node.js itself, e.g. the file that created an instance
+export function callerFile (stack) {
+  for (let line of stack.split('\n').slice(1)) {
+    const match = /\(?((?:file:\/\/)?\/[^():]+|[A-Za-z]:\\[^():]+):\d+:\d+\)?$/
+      .exec(line)
+    if (!match) { continue }
+    const path = match[1].replace(/^file:\/\//, '')
+    if (!path.startsWith(LIBRARY_PATH + sep) &&
+        !path.includes(`${sep}node_modules${sep}esm${sep}`)) {
+      return path
+    }
+  }
+}
+
+// `Module.createRequire()` needs Node.js 12.2 or later
+function resolveModule (specifier, fromFile) {
+  if (Module.createRequire) {
+    return Module.createRequire(fromFile).resolve(specifier)
+  }
+  const parent = new Module(fromFile)
+  parent.filename = fromFile
+  parent.paths = Module._nodeModulePaths(dirname(fromFile))
+  return Module._resolveFilename(specifier, parent)
+}
+
+function isUsed (name, sources) {
+  if (name === 'as') { return false }
+  const regex = new RegExp(`(^|[^\\w$.])${name.replace(/\$/g, '\\$')}` +
+                           '(?![\\w$])')
+  return sources.some(source => regex.test(source))
+}
+
+function matchAll (regex, text) {
+  const matches = []
+  regex.lastIndex = 0
+  for (let match; (match = regex.exec(text));) { matches.push(match) }
+  return matches
+}
@@ -0,0 +1,73 @@
+import fileFingerprint from './file-fingerprint'
+import listFileSet from './list-file-set'
+import packageVersion from './package-version'
+import valueFingerprint from './value-fingerprint'
+import isNotFoundError from './is-not-found-error'
+
+// Checks whether any of the files, environment variables, package versions
+// or values observed by the cache entry changed. Observed values are compared
+// with the `values` object, where a missing label counts as `null`. They're
+// skipped if it's `undefined`. Resolves to `null` or to an object that
+// describes the first change:
+// - `{ reason: 'valueChanged', type, name, oldValue, newValue }`
+// - `{ reason: 'fileListChanged', type, path | pattern, added, removed }`
+// - `{ reason: 'fileChanged', path, oldFingerprint, newFingerprint }`
+//   (A `null` fingerprint means that the file is absent)
+export default async function detectChanges (result, fingerprintStrategy,
+                                             values) {
+  const { observedFiles, observedFileSets = [], observedValues = [] } = result
+
+  // Compare environment variables, package versions and values
+  for (let { type, name, value: oldValue } of observedValues) {
+    let newValue
+    switch (type) {
+      case 'env':
+        newValue = process.env[name] === undefined ? null : process.env[name]
+        break
+      case 'package':
+        newValue = await packageVersion(name)
+        break
+      case 'value':
+        if (values === undefined) { continue }
+        newValue = name in values
+          ? valueFingerprint(values[name], name) : null // Missing
+        break
+    }
+    if (newValue !== oldValue) {
+      return { reason: 'valueChanged', type, name, oldValue, newValue }
+    }
+  }
+
+  // Compare the file lists of observed directories and glob patterns
+  const fileLists = await Promise.all(observedFileSets.map(x => listFileSet(x)))
+  for (let [i, fileSet] of observedFileSets.entries()) {
+    const oldPaths = new Set(fileSet.files.map(x => x.path))
+    const newPaths = new Set(fileLists[i])
+    const added = [...newPaths].filter(x => !oldPaths.has(x))
+    const removed = [...oldPaths].filter(x => !newPaths.has(x))
+    if (added.length || removed.length) {
+      const { type, path, pattern } = fileSet
+      return { reason: 'fileListChanged', type, path, pattern, added, removed }
+    }
+  }
+
+  const files = observedFiles.concat(...observedFileSets.map(x => x.files))
+  const changes = await Promise.all(files.map(async (x) => {
+    let fingerprint
+    try {
+      fingerprint = await fileFingerprint(x.path, fingerprintStrategy)
+    } catch (error) {
+      if (!isNotFoundError(error)) { throw error }
+      fingerprint = null // Null means absent
+    }
+    if (fingerprint !== x.fingerprint) {
+      return {
+        reason: 'fileChanged',
+        path: x.path,
+        oldFingerprint: x.fingerprint,
+        newFingerprint: fingerprint
+      }
+    }
+  }))
+  return changes.find(x => x) || null
+}
@@ -0,0 +1,13 @@
+import { lstat, readdir } from 'fs-extra'
+import { join } from 'path'
+
+// Returns the total size of a file or of all files inside a folder
+export default async function diskUsage (path) {
+  const stats = await lstat(path)
+  if (!stats.isDirectory()) { return stats.size }
+
+  const sizes = await Promise.all((await readdir(path)).map(entry => {
+    return diskUsage(join(path, entry))
+  }))
+  return sizes.reduce((a, b) => a + b, 0)
+}
@@ -1,7 +1,39 @@
-import { stat } from 'fs-extra'
+import { createReadStream, stat } from 'fs-extra'
+import { createHash } from 'crypto'
 
-export default async function fileFingerprint (path) {
+export const FINGERPRINT_STRATEGIES = ['stat', 'content']
+
+// Maps paths to `{ key, fingerprint }` objects. The key is derived from the
+// file stats. This avoids hashing the same unchanged file over and over again.
+const contentFingerprintMemo = new Map()
+
+export default async function fileFingerprint (path, strategy = 'stat') {
   const stats = await stat(path)
-  return stats.size + ',' + stats.mtimeMs + ',' + stats.birthtimeMs
+  const statFingerprint =
+    stats.size + ',' + stats.mtimeMs + ',' + stats.birthtimeMs
+
+  switch (strategy) {
+    case 'stat':
+      return statFingerprint
+    case 'content': {
+      const memo = contentFingerprintMemo.get(path)
+      if (memo && memo.key === statFingerprint) { return memo.fingerprint }
+
+      const fingerprint = 'sha1:' + await hashFileContent(path)
+      contentFingerprintMemo.set(path, { key: statFingerprint, fingerprint })
+      return fingerprint
+    }
+    default:
+      throw new Error(`Unknown fingerprint strategy "${strategy}"`)
+  }
 }
 
+function hashFileContent (path) {
+  return new Promise((resolve, reject) => {
+    const generator = createHash('sha1')
+    createReadStream(path)
+      .on('error', reject)
+      .on('data', chunk => { generator.update(chunk) })
+      .on('end', () => { resolve(generator.digest('hex')) })
+  })
+}
@@ -0,0 +1,84 @@
+import {
+  mkdir, readFile, readdir, remove, stat, utimes, writeFile
+} from 'fs-extra'
+import { randomBytes } from 'crypto'
+import { join } from 'path'
+
+const STALE_TIMEOUT = 10000 // Locks that weren't refreshed for this long
+const REFRESH_INTERVAL = STALE_TIMEOUT / 4
+const RETRY_INTERVAL = 100
+
+// Acquires a lock that works across processes. The lock is a directory,
+// because creating a directory is atomic. Each owner of the lock creates a
+// file inside it that is named after its generation and contains its token.
+// The file of the highest generation belongs to the current owner. While the
+// lock is held, its modification time is refreshed regularly. Locks of
+// crashed processes are detected by their outdated modification time and
+// are taken over by creating the file of the next generation. Creating a
+// file that exists fails, so only one process can take a lock over. A
+// process that blocks its event loop for too long can't refresh its lock and
+// loses it, but it won't remove the lock of the new owner. Resolves to a
+// function that releases the lock.
+export default async function acquireFileLock (path) {
+  const token = randomBytes(16).toString('hex')
+  let generation
+  while (true) {
+    let created = true
+    try {
+      await mkdir(path)
+    } catch (error) {
+      if (!error || error.code !== 'EEXIST') { throw error }
+      created = false
+    }
+
+    let stale = false
+    try {
+      generation = (await currentGeneration(path)) + 1
+      // Checked after reading the generation, so that a takeover in between
+      // counts as a refresh
+      stale = !created &&
+              Date.now() - (await stat(path)).mtimeMs > STALE_TIMEOUT
+    } catch (error) { continue } // Released meanwhile? Retry immediately
+
+    if ((created || stale) && await claim(path, generation, token)) { break }
+    await new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL))
+  }
+
+  const interval = setInterval(() => {
+    const now = new Date()
+    utimes(path, now, now).catch(() => {})
+  }, REFRESH_INTERVAL)
+  interval.unref()
+
+  return async function releaseFileLock () {
+    clearInterval(interval)
+    if (await isOwner(path, generation, token)) { await remove(path) }
+  }
+}
+
+// Resolves to the highest generation in the lock or `-1` if there's none yet
+async function currentGeneration (path) {
+  const generations = (await readdir(path))
+    .filter(x => /^\d+$/.test(x))
+    .map(x => parseInt(x, 10))
+  return Math.max(-1, ...generations)
+}
+
+async function claim (path, generation, token) {
+  try {
+    await writeFile(join(path, String(generation)), token, { flag: 'wx' })
+    return true
+  } catch (error) {
+    if (error && (error.code === 'EEXIST' || error.code === 'ENOENT')) {
+      return false // Somebody else was faster or released it meanwhile
+    }
+    throw error
+  }
+}
+
+async function isOwner (path, generation, token) {
+  try {
+    return await currentGeneration(path) === generation &&
+           (await readFile(join(path, String(generation)))).toString() === token
+  } catch (error) { return false } // Removed?
+}
@@ -0,0 +1,3 @@
+export default function isNotFoundError (error) {
+  return !!error && (error.code === 'ENOENT' || error.code === 'ENOTDIR')
+}
@@ -0,0 +1,45 @@
+import AbortError from '../errors/abort-error'
+
+// Limits how many functions run at the same time. Waiting functions with a
+// higher priority start first. Functions with the same priority start in the
+// order in which they were added. Waiting functions are removed if their
+// signal is aborted.
+export default class Limiter {
+  constructor (concurrency) {
+    this.concurrency = concurrency
+    this.runningCount = 0
+    this._waiting = []
+    this._index = 0
+  }
+
+  run (fn, priority = 0, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) { return reject(new AbortError()) }
+      const index = this._index++
+      const item = { fn, priority, index, resolve, reject, signal }
+      this._waiting.push(item)
+      this._waiting.sort((a, b) => b.priority - a.priority || a.index - b.index)
+      if (signal) {
+        item.onAbort = () => {
+          const i = this._waiting.indexOf(item)
+          if (i !== -1) { this._waiting.splice(i, 1) }
+          reject(new AbortError())
+        }
+        signal.addEventListener('abort', item.onAbort)
+      }
+      this._next()
+    })
+  }
+
+  _next () {
+    while (this.runningCount < this.concurrency && this._waiting.length) {
+      const { fn, resolve, reject, signal, onAbort } = this._waiting.shift()
+      if (signal) { signal.removeEventListener('abort', onAbort) }
+      this.runningCount++
+      Promise.resolve().then(fn).then(resolve, reject).then(() => {
+        this.runningCount--
+        this._next()
+      })
+    }
+  }
+}
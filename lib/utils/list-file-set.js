@@ -0,0 +1,21 @@
+import glob from 'fast-glob'
+import { join } from 'path'
+
+// Lists the files that belong to an observed file set. File sets have either
+// the form `{ type: 'dir', path }` (all files inside the directory, including
+// files in subdirectories) or `{ type: 'glob', pattern }`.
+export default async function listFileSet (fileSet) {
+  let paths
+  switch (fileSet.type) {
+    case 'dir':
+      paths = (await glob('**/*', { cwd: fileSet.path, dot: true }))
+        .map(path => join(fileSet.path, path))
+      break
+    case 'glob':
+      paths = await glob(fileSet.pattern, { dot: true })
+      break
+    default:
+      throw new Error(`Unknown file set type "${fileSet.type}"`)
+  }
+  return paths.sort()
+}
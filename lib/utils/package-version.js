@@ -0,0 +1,19 @@
+import { readFile } from 'fs-extra'
+import { dirname, join, resolve } from 'path'
+import isNotFoundError from './is-not-found-error'
+
+// Resolves to the version of the package that `require()` would find from
+// the current working directory or to `null` if it isn't installed
+export default async function packageVersion (name) {
+  let dir = resolve('.')
+  for (;;) {
+    try {
+      const path = join(dir, 'node_modules', name, 'package.json')
+      return JSON.parse(await readFile(path)).version
+    } catch (error) {
+      if (!isNotFoundError(error)) { throw error }
+    }
+    if (dirname(dir) === dir) { return null }
+    dir = dirname(dir)
+  }
+}
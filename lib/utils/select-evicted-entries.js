@@ -0,0 +1,34 @@
+// Selects the entries that need to be removed to satisfy the limits. The
+// entries are objects of the form `{ cacheKey, size, lastAccess, inUse }`.
+// Entries that are too old are always selected. Beyond that, the least
+// recently used entries are selected until the size and entry limits hold.
+// Entries that are in use (see `inUse` and `isInUse(cacheKey)`) are never
+// selected. Returns the selected cache keys.
+export default function selectEvictedEntries (entries, limits, isInUse) {
+  const {
+    maxSize = Infinity, maxAge = Infinity, maxEntries = Infinity
+  } = limits || {}
+
+  const now = Date.now()
+  const sortedEntries = entries.slice()
+    .sort((a, b) => b.lastAccess - a.lastAccess) // Most recent first
+
+  const evictedCacheKeys = []
+  let size = 0
+  let count = 0
+  let full = false
+  for (let x of sortedEntries) {
+    if (x.inUse || (isInUse && isInUse(x.cacheKey))) {
+      size += x.size
+      count++
+    } else if (full || now - x.lastAccess > maxAge ||
+               size + x.size > maxSize || count + 1 > maxEntries) {
+      full = true // Older entries need to go as well
+      evictedCacheKeys.push(x.cacheKey)
+    } else {
+      size += x.size
+      count++
+    }
+  }
+  return evictedCacheKeys
+}
@@ -0,0 +1,8 @@
+import encodeCacheKey from '../serialization/encode-cache-key'
+import sha1 from './sha1'
+
+// Encodes the value canonically, like a cache key. This way, objects with the
+// same properties in another order have the same fingerprint
+export default function valueFingerprint (value, name) {
+  return 'sha1:' + sha1(encodeCacheKey(value, name))
+}
@@ -0,0 +1,21 @@
+import artifactChecksum from './artifact-checksum'
+import isNotFoundError from './is-not-found-error'
+
+// Ensures the files and folders stored inside the cache are intact. Resolves
+// to `null` or to an object of the form `{ reason, artifact }` that describes
+// the first problem.
+export default async function verifyArtifacts (artifacts = [], artifactPath) {
+  for (let { name, checksum } of artifacts) {
+    let currentChecksum
+    try {
+      currentChecksum = await artifactChecksum(artifactPath(name))
+    } catch (error) {
+      if (!isNotFoundError(error)) { throw error }
+    }
+    if (currentChecksum !== checksum) {
+      const reason = currentChecksum ? 'artifactModified' : 'artifactMissing'
+      return { reason, artifact: name }
+    }
+  }
+  return null
+}
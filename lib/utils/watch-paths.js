@@ -0,0 +1,123 @@
+import { readdirSync, statSync, watch } from 'fs'
+import { dirname, join, resolve, sep } from 'path'
+import { existsSync } from 'fs-extra'
+
+// Recursive watchers are available on Linux as of Node.js 20. Elsewhere, the
+// subdirectories are watched one by one
+const RECURSIVE_WATCH_SUPPORTED =
+  ['darwin', 'win32'].includes(process.platform) ||
+  (process.platform === 'linux' && parseInt(process.versions.node) >= 20)
+
+// Watches the files and file sets observed by a cache entry (see
+// `detectChanges()`) and calls the listener on every file system event.
+// Files are watched through their directories because they might not exist
+// yet or might be replaced by a rename. Events can be spurious, so the
+// listener has to check whether something actually changed. Returns a
+// function that stops watching.
+export default function watchPaths (result, listener) {
+  const { observedFiles, observedFileSets = [] } = result
+  const dirs = new Map() // Maps paths to whether they're watched recursively
+
+  const addDir = (path, recursive) => {
+    path = resolve(path)
+    dirs.set(path, dirs.get(path) || recursive)
+  }
+
+  for (let { path } of observedFiles) { addDir(dirname(path), false) }
+  for (let fileSet of observedFileSets) {
+    addDir(fileSet.type === 'dir' ? fileSet.path : globBase(fileSet.pattern),
+           true)
+  }
+
+  const stopFns = [...dirs].map(([path, recursive]) => {
+    return watchDir(path, recursive, listener)
+  })
+  return () => { for (let stop of stopFns) { stop() } }
+}
+
+// Watches a directory. As long as it doesn't exist, its nearest existing
+// ancestor is watched non-recursively to notice when it's created
+function watchDir (path, recursive, listener) {
+  let existingPath
+  let stopped = false
+  let stop = () => {}
+  const update = () => {
+    stop()
+    existingPath = nearestExistingPath(path)
+    stop = existingPath !== path ? watchSingleDir(existingPath, onEvent)
+         : recursive ? watchTree(path, onEvent)
+         : watchSingleDir(path, onEvent)
+  }
+  const onEvent = () => {
+    if (stopped) { return }
+    listener()
+    if (nearestExistingPath(path) !== existingPath) { update() } // (Re)moved?
+  }
+
+  update()
+  return () => { stopped = true; stop() }
+}
+
+function watchTree (path, listener) {
+  if (RECURSIVE_WATCH_SUPPORTED) {
+    return watchSingleDir(path, listener, true)
+  }
+
+  const stopFns = new Map() // Maps directories to functions that stop them
+  const add = dir => {
+    if (stopFns.has(dir)) { return }
+    stopFns.set(dir, watchSingleDir(dir, () => {
+      listener()
+      update(dir)
+    }))
+    for (let subdir of listSubdirs(dir)) { add(subdir) }
+  }
+  const update = dir => { // Watches new subdirectories, forgets removed ones
+    if (existsSync(dir)) {
+      for (let subdir of listSubdirs(dir)) { add(subdir) }
+      return
+    }
+    for (let [x, stop] of stopFns) {
+      if (x === dir || x.startsWith(dir + sep)) {
+        stop()
+        stopFns.delete(x)
+      }
+    }
+  }
+
+  add(path)
+  return () => { for (let stop of stopFns.values()) { stop() } }
+}
+
+function watchSingleDir (path, listener, recursive = false) {
+  try {
+    const watcher = watch(path, { recursive }, () => listener())
+    watcher.on('error', () => listener()) // E.g. directory removed
+    return () => watcher.close()
+  } catch (error) {
+    setImmediate(listener) // Removed meanwhile
+    return () => {}
+  }
+}
+
+function nearestExistingPath (path) {
+  while (!existsSync(path) && dirname(path) !== path) { path = dirname(path) }
+  return path
+}
+
+function listSubdirs (dir) {
+  let names
+  try { names = readdirSync(dir) } catch (error) { return [] } // Removed?
+  return names.map(name => join(dir, name)).filter(path => {
+    try { return statSync(path).isDirectory() } catch (error) { return false }
+  })
+}
+
+// Returns the leading part of a glob pattern that doesn't contain any
+// special characters
+function globBase (pattern) {
+  const segments = pattern.split('/')
+  const index = segments.findIndex(x => /[*?[\]{}()!]/.test(x))
+  const base = segments.slice(0, index === -1 ? -1 : index).join(sep)
+  return base || (pattern.startsWith('/') ? '/' : '.')
+}
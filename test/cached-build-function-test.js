@@ -1,8 +1,12 @@
+import EventEmitter from 'events'
 import { join } from 'path'
-import { remove, readdir } from 'fs-extra'
+import {
+  ensureDir, outputFile, readdir, readFile, remove, utimes
+} from 'fs-extra'
 import test from 'ava'
 import sinon from 'sinon'
 import CachedBuildFunction from '../lib/cached-build-function'
+import { callerFile } from '../lib/utils/auto-version'
 
 test.before(async t => {
   await remove(join(__dirname, 'cache'))
@@ -10,9 +14,14 @@ test.before(async t => {
 
 let cachePathIndex = 0
 test.beforeEach(t => {
+  t.context.filesPath = join(__dirname, `cache/files${cachePathIndex}`)
   t.context.cachePath = join(__dirname, `cache/test${cachePathIndex++}`)
 })
 
+test.afterEach.always(t => {
+  if (t.context.restoreClock) { t.context.restoreClock() }
+})
+
 test.after(async t => {
   await remove(join(__dirname, 'cache'))
 })
@@ -62,9 +71,18 @@ test('executes run() only when necessary', async t => {
 
   t.true(await myBuildFn2(1, 2) === 3)
   t.true(await myBuildFn2(3, 4) === 7)
-  t.true(await myBuildFn2(5, 20) === 25)
 
-  t.true(runSpy2.callCount === 0)
+  t.true(runSpy2.callCount === 2) // Other namespace
+
+  const myBuildFn2b = new MyBuildFn2({
+    cachePath: t.context.cachePath,
+    namespace: 'MyBuildFn1'
+  })
+
+  t.true(await myBuildFn2b(1, 2) === 3)
+  t.true(await myBuildFn2b(5, 20) === 25)
+
+  t.true(runSpy2.callCount === 2) // Still
 
   // Scenario 5/5 Build function with a different version
   const runSpy3 = sinon.spy()
@@ -125,7 +143,9 @@ test('returned promise has working EventEmitter', async t => {
   t.false(cacheHitSpy1.called)
   t.true(cacheMissSpy1.calledOnce)
   t.true(checkedCacheSpy1.calledOnce)
-  t.deepEqual(checkedCacheSpy1.getCall(0).args[0], { cacheHit: false })
+  t.deepEqual(checkedCacheSpy1.getCall(0).args[0], {
+    cacheHit: false, missReason: { reason: 'noEntry' }
+  })
 
   // Again
   const cacheHitSpy2 = sinon.spy()
@@ -183,3 +203,1302 @@ test('cleans up unused cache entries', async t => {
     t.true((await readdir(t.context.cachePath)).length === 0)
   }
 })
+
+test('fingerprints observed files by content if configured', async t => {
+  const filePath = join(t.context.filesPath, 'observed-file.txt')
+  await outputFile(filePath, 'Hello')
+
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get fingerprint () { return 'content' }
+    static async run (path) {
+      runSpy(path)
+      return (await readFile(this.observe(path))).toString()
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  t.true(await myBuildFn(filePath) === 'Hello')
+  t.true(runSpy.callCount === 1)
+
+  // Recreated file with same content
+  await remove(filePath)
+  await outputFile(filePath, 'Hello')
+  await utimes(filePath, new Date(2000, 1, 1), new Date(2000, 1, 1))
+  t.true(await myBuildFn(filePath) === 'Hello')
+  t.true(runSpy.callCount === 1) // Still
+
+  // Changed content
+  await outputFile(filePath, 'World')
+  t.true(await myBuildFn(filePath) === 'World')
+  t.true(runSpy.callCount === 2)
+
+  // Stat-based fingerprints can be selected per instance
+  const myBuildFn2 = new MyBuildFn({
+    cachePath: t.context.cachePath,
+    fingerprint: 'stat'
+  })
+  t.true(await myBuildFn2(filePath) === 'World')
+  t.true(runSpy.callCount === 3)
+
+  t.throws(() => new MyBuildFn({
+    cachePath: t.context.cachePath,
+    fingerprint: 'size'
+  }))
+})
+
+test('observes directories and glob patterns', async t => {
+  const dirPath = join(t.context.filesPath, 'content')
+  await outputFile(join(dirPath, 'a.md'), 'A')
+  await outputFile(join(dirPath, 'b.txt'), 'B')
+
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (type) {
+      runSpy(type)
+      if (type === 'dir') { this.observeDir(dirPath) }
+      if (type === 'glob') { this.observeGlob(join(dirPath, '*.md')) }
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  const runBoth = async () => {
+    await myBuildFn('dir')
+    await myBuildFn('glob')
+  }
+
+  await runBoth()
+  t.true(runSpy.callCount === 2)
+
+  await runBoth()
+  t.true(runSpy.callCount === 2) // Still
+
+  // Added file that doesn't match the glob pattern
+  await outputFile(join(dirPath, 'sub/c.txt'), 'C')
+  await runBoth()
+  t.true(runSpy.callCount === 3)
+  t.true(runSpy.lastCall.calledWith('dir'))
+
+  // Added file that matches the glob pattern
+  await outputFile(join(dirPath, 'd.md'), 'D')
+  await runBoth()
+  t.true(runSpy.callCount === 5)
+
+  // Modified file
+  await outputFile(join(dirPath, 'a.md'), 'AAA')
+  await runBoth()
+  t.true(runSpy.callCount === 7)
+
+  // Removed file
+  await remove(join(dirPath, 'd.md'))
+  await runBoth()
+  t.true(runSpy.callCount === 9)
+})
+
+test('invalidates cache entries when absent observed files appear', async t => {
+  const localPath = join(t.context.filesPath, 'config.local.json')
+  const defaultPath = join(t.context.filesPath, 'config.json')
+  await outputFile(defaultPath, '"default"')
+
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run () {
+      runSpy()
+      for (let path of [localPath, defaultPath]) {
+        try {
+          return JSON.parse(await readFile(this.observe(path)))
+        } catch (e) {}
+      }
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  t.true(await myBuildFn() === 'default')
+  t.true(await myBuildFn() === 'default')
+  t.true(runSpy.callCount === 1)
+
+  await outputFile(localPath, '"local"')
+  t.true(await myBuildFn() === 'local')
+  t.true(runSpy.callCount === 2)
+
+  await remove(localPath)
+  t.true(await myBuildFn() === 'default')
+  t.true(runSpy.callCount === 3)
+})
+
+test('tracks nested calls as dependencies', async t => {
+  const filePath = join(t.context.filesPath, 'leaf.txt')
+  await outputFile(filePath, 'Leaf')
+
+  const innerRunSpy = sinon.spy()
+  class Inner extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (path) {
+      innerRunSpy(path)
+      return (await readFile(this.observe(path))).toString()
+    }
+  }
+
+  const outerRunSpy = sinon.spy()
+  class Outer extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (path) {
+      outerRunSpy(path)
+      return (await this.call(inner, path)).toUpperCase()
+    }
+  }
+
+  const innerCachePath = join(t.context.cachePath, 'inner')
+  const outerCachePath = join(t.context.cachePath, 'outer')
+  let inner = new Inner({ cachePath: innerCachePath })
+  let outer = new Outer({ cachePath: outerCachePath })
+
+  t.true(await outer(filePath) === 'LEAF')
+  t.true(await outer(filePath) === 'LEAF')
+  t.true(outerRunSpy.callCount === 1)
+  t.true(innerRunSpy.callCount === 1)
+
+  // The inner entry counts as used because the outer entry depends on it
+  inner = new Inner({ cachePath: innerCachePath })
+  outer = new Outer({ cachePath: outerCachePath })
+  t.true(await outer(filePath) === 'LEAF')
+  await CachedBuildFunction.cleanUnused([inner, outer])
+  t.true((await readdir(innerCachePath)).length === 1)
+  t.true((await readdir(outerCachePath)).length === 1)
+
+  // Changing the leaf file invalidates the whole chain
+  await outputFile(filePath, 'Changed leaf')
+  t.true(await outer(filePath) === 'CHANGED LEAF')
+  t.true(outerRunSpy.callCount === 2)
+  t.true(innerRunSpy.callCount === 2)
+
+  // Other instances only know about their own accesses
+  await new Inner({ cachePath: innerCachePath }).cleanUnused()
+  t.true((await readdir(innerCachePath)).length === 0)
+})
+
+test('supports custom storages', async t => {
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (a, b) { runSpy(a, b); return a + b }
+  }
+  const storage = new CachedBuildFunction.MemoryStorage()
+
+  {
+    const myBuildFn = new MyBuildFn({ storage })
+    t.true(await myBuildFn(1, 2) === 3)
+    t.true(await myBuildFn(3, 4) === 7)
+    t.true(runSpy.callCount === 2)
+    t.true((await storage.list()).length === 2)
+  }
+
+  {
+    const myBuildFn = new MyBuildFn({ storage })
+    t.true(await myBuildFn(1, 2) === 3)
+    t.true(runSpy.callCount === 2) // Still
+
+    await myBuildFn.cleanUnused()
+    t.true((await storage.list()).length === 1)
+  }
+
+  // Artifacts
+  class MyArtifactBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (text) { await outputFile(this.cachePath('file'), text) }
+    static async after () {
+      return (await readFile(this.cachePath('file'))).toString()
+    }
+  }
+
+  const myBuildFn = new MyArtifactBuildFn({ storage })
+  await t.throws(myBuildFn('Hello'))
+
+  const artifactsPath = join(t.context.filesPath, 'artifacts')
+  const artifactStorage =
+    new CachedBuildFunction.MemoryStorage({ artifactsPath })
+  const myArtifactBuildFn = new MyArtifactBuildFn({ storage: artifactStorage })
+  t.true(await myArtifactBuildFn('Hello') === 'Hello')
+  t.true((await readdir(artifactsPath)).length === 1)
+  await new MyArtifactBuildFn({ storage: artifactStorage }).cleanUnused()
+  t.true((await readdir(artifactsPath)).length === 0)
+
+  // Locks are released if the cache check after acquiring them fails
+  const lockingStorage = new CachedBuildFunction.MemoryStorage()
+  const releaseSpy = sinon.spy()
+  let getCount = 0
+  lockingStorage.lock = async () => releaseSpy
+  lockingStorage.get = async () => {
+    if (++getCount === 2) { throw new Error('Read error') }
+  }
+  await t.throws(new MyBuildFn({ storage: lockingStorage })(1, 2), /Read/)
+  t.true(releaseSpy.callCount === 1)
+
+  // Automatic pruning needs `stats()`
+  const statslessStorage = { get () {}, put () {}, location: 'statsless' }
+  t.throws(() => new MyBuildFn({
+    storage: statslessStorage, prune: { maxEntries: 1 }
+  }), /stats\(\)/)
+})
+
+test('prunes least recently used cache entries', async t => {
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (text) {
+      await outputFile(this.cachePath('file'), text)
+      return text
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+  const delay = () => new Promise(resolve => setTimeout(resolve, 20))
+
+  await myBuildFn('a'); await delay()
+  await myBuildFn('b'); await delay()
+  await myBuildFn('c'); await delay()
+  await myBuildFn('a'); await delay() // Access makes it most recently used
+
+  t.true((await myBuildFn.prune({ maxEntries: 3 })).length === 0)
+  t.true((await myBuildFn.prune({ maxEntries: 2 })).length === 1)
+
+  const listTexts = async () => {
+    const entries = await readdir(t.context.cachePath)
+    const files = entries.filter(x => x.endsWith('-file'))
+    return (await Promise.all(files.map(async x => {
+      return (await readFile(join(t.context.cachePath, x))).toString()
+    }))).sort()
+  }
+  t.deepEqual(await listTexts(), ['a', 'c'])
+
+  await myBuildFn.prune({ maxAge: 0 })
+  t.true((await readdir(t.context.cachePath)).length === 0)
+
+  // Automatic pruning after writes
+  const myPrunedBuildFn = new MyBuildFn({
+    cachePath: t.context.cachePath,
+    prune: { maxSize: 1 }
+  })
+  await myPrunedBuildFn('d')
+  await myPrunedBuildFn('e')
+  t.deepEqual(await listTexts(), ['e'])
+
+  // Entries that another instance is computing are kept
+  let continueSlow
+  let slowStarted
+  const slowStartedPromise = new Promise(resolve => { slowStarted = resolve })
+  class Slow extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run () {
+      await outputFile(this.cachePath('out'), 'slow')
+      slowStarted()
+      await new Promise(resolve => { continueSlow = resolve })
+      return (await readFile(this.cachePath('out'))).toString()
+    }
+  }
+  const slowPromise = new Slow({ cachePath: t.context.cachePath })()
+  await slowStartedPromise
+  const myMaxAgeBuildFn = new MyBuildFn({
+    cachePath: t.context.cachePath,
+    prune: { maxAge: 3600000 }
+  })
+  await myMaxAgeBuildFn('f')
+  continueSlow()
+  t.true(await slowPromise === 'slow')
+})
+
+test('waits for other processes that compute the same entry', async t => {
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (a, b) {
+      runSpy(a, b)
+      await new Promise(resolve => setTimeout(resolve, 200))
+      return a + b
+    }
+  }
+
+  // Separate instances don't share their currently running operations. So,
+  // they behave like separate processes
+  const myBuildFn1 = new MyBuildFn({ cachePath: t.context.cachePath })
+  const myBuildFn2 = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  t.deepEqual(await Promise.all([myBuildFn1(1, 2), myBuildFn2(1, 2)]), [3, 3])
+  t.true(runSpy.callCount === 1)
+
+  // Stale locks are ignored
+  const lockPath = join(t.context.cachePath, 'abc.lock')
+  await ensureDir(lockPath)
+  await utimes(lockPath, new Date(2000, 1, 1), new Date(2000, 1, 1))
+  const storage = new CachedBuildFunction.FileSystemStorage(t.context.cachePath)
+  const release = await storage.lock('abc')
+  t.true((await readdir(t.context.cachePath)).includes('abc.lock'))
+  t.false((await storage.list()).includes('abc'))
+  await release()
+  t.false((await readdir(t.context.cachePath)).includes('abc.lock'))
+
+  // Only one process takes a stale lock over. Processes that lost their lock
+  // don't remove the one of the new owner
+  const oldRelease = await storage.lock('abc')
+  await utimes(lockPath, new Date(2000, 1, 1), new Date(2000, 1, 1))
+  const storage2 = new CachedBuildFunction.FileSystemStorage(t.context.cachePath)
+  const takeovers = [storage.lock('abc'), storage2.lock('abc')]
+  const acquired = []
+  takeovers.forEach((x, i) => x.then(() => acquired.push(i)))
+  await new Promise(resolve => setTimeout(resolve, 300))
+  t.true(acquired.length === 1)
+  await oldRelease()
+  t.true((await readdir(t.context.cachePath)).includes('abc.lock'))
+  await (await takeovers[acquired[0]])()
+  await (await takeovers[1 - acquired[0]])() // Gets the lock now
+  t.false((await readdir(t.context.cachePath)).includes('abc.lock'))
+
+  // Calls only lock their entries once they may run
+  const lockCounts = []
+  class Limited extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get concurrency () { return 1 }
+    static async run (a) {
+      const entries = await readdir(t.context.cachePath)
+      lockCounts.push(entries.filter(x => x.endsWith('.lock')).length)
+      await new Promise(resolve => setTimeout(resolve, 20))
+      return a
+    }
+  }
+  const limited = new Limited({ cachePath: t.context.cachePath })
+  const inputs = [1, 2, 3, 4, 5, 6]
+  t.deepEqual(await Promise.all(inputs.map(x => limited(x))), inputs)
+  t.true(lockCounts[0] === 1) // The others wait for the slot without a lock
+})
+
+test('limits the number of concurrent run() calls', async t => {
+  let runningCount = 0
+  let maxRunningCount = 0
+  const startOrder = []
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get concurrency () { return 2 }
+    static async run (a) {
+      startOrder.push(a)
+      runningCount++
+      maxRunningCount = Math.max(maxRunningCount, runningCount)
+      await new Promise(resolve => setTimeout(resolve, 20))
+      runningCount--
+      return a
+    }
+  }
+  // No locks, whose acquisition order would be nondeterministic
+  const storage = new CachedBuildFunction.MemoryStorage()
+  const myBuildFn = new MyBuildFn({ storage })
+
+  await myBuildFn('cached')
+
+  const promises = [1, 2, 3, 4].map(x => myBuildFn.enqueue(x))
+  promises.push(myBuildFn.withOptions({ priority: 1 }).enqueue(5))
+  promises.push(myBuildFn.enqueue('cached'))
+  await myBuildFn.flush()
+
+  t.deepEqual(await Promise.all(promises), [1, 2, 3, 4, 5, 'cached'])
+  t.true(maxRunningCount === 2)
+  t.deepEqual(startOrder.slice(1, 3).sort(), [1, 2])
+  t.true(startOrder[3] === 5) // Higher priority
+
+  const myUnlimitedBuildFn = new MyBuildFn({
+    storage,
+    concurrency: Infinity
+  })
+  maxRunningCount = 0
+  await Promise.all([6, 7, 8].map(x => myUnlimitedBuildFn(x)))
+  t.true(maxRunningCount === 3)
+
+  // Nested calls don't need a slot. Otherwise, this would wait forever
+  class Depth extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get concurrency () { return 1 }
+    static async run (n) { return n && 1 + await this.call(depth, n - 1) }
+  }
+  const depth = new Depth({ storage })
+  t.true(await depth(3) === 3)
+
+  t.throws(() => new MyBuildFn({
+    cachePath: t.context.cachePath,
+    concurrency: 0
+  }))
+})
+
+test('returns values that JSON does not support', async t => {
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run () {
+      runSpy()
+      return { buffer: Buffer.from('Hi'), date: new Date(0), x: undefined }
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  const expected = {
+    buffer: Buffer.from('Hi'), date: new Date(0), x: undefined
+  }
+  t.deepEqual(await myBuildFn(), expected)
+  t.deepEqual(await myBuildFn(), expected)
+  t.true(runSpy.callCount === 1)
+})
+
+test('treats corrupt cache entries as cache misses', async t => {
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (text) {
+      runSpy(text)
+      await outputFile(join(this.cachePath('folder'), 'file.txt'), text)
+      return text
+    }
+    static async after () {
+      const path = join(this.cachePath('folder'), 'file.txt')
+      return (await readFile(path)).toString()
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+  const callAndCheck = async () => {
+    const corruptEntrySpy = sinon.spy()
+    t.true(await myBuildFn('Hello').on('corruptEntry', corruptEntrySpy) ===
+           'Hello')
+    return corruptEntrySpy.called ? corruptEntrySpy.lastCall.args[0] : null
+  }
+
+  await callAndCheck()
+  t.true(await callAndCheck() === null)
+  t.true(runSpy.callCount === 1)
+
+  const entries = await readdir(t.context.cachePath)
+  const jsonPath = join(t.context.cachePath,
+                        entries.find(x => x.endsWith('.json')))
+  const filePath = join(t.context.cachePath,
+                        entries.find(x => x.endsWith('-folder')), 'file.txt')
+
+  // Truncated cache file
+  const text = (await readFile(jsonPath)).toString()
+  await outputFile(jsonPath, text.slice(0, 20))
+  t.true((await callAndCheck()).reason === 'unreadable')
+  t.true(runSpy.callCount === 2)
+
+  // Modified cache file
+  await outputFile(jsonPath, text.replace('Hello', 'Hallo'))
+  t.true((await callAndCheck()).reason === 'unreadable')
+  t.true(runSpy.callCount === 3)
+
+  // Modified artifact
+  await outputFile(filePath, 'Changed')
+  t.deepEqual(await callAndCheck(),
+              { reason: 'artifactModified', artifact: 'folder' })
+  t.true(runSpy.callCount === 4)
+
+  // Missing artifact
+  await remove(filePath)
+  t.deepEqual(await callAndCheck(),
+              { reason: 'artifactModified', artifact: 'folder' })
+  await remove(join(filePath, '..'))
+  t.deepEqual(await callAndCheck(),
+              { reason: 'artifactMissing', artifact: 'folder' })
+  t.true(runSpy.callCount === 6)
+})
+
+// Serial, because it fakes the clock
+test.serial('applies the error caching policy', async t => {
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get cacheErrors () { return error => error.message !== 'Skip' }
+    static async run (message) {
+      runSpy(message)
+      throw new Error(message)
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  await t.throws(myBuildFn('Cache'), 'Cache')
+  await t.throws(myBuildFn('Cache'), 'Cache')
+  t.true(runSpy.callCount === 1)
+
+  await t.throws(myBuildFn('Skip'), 'Skip')
+  await t.throws(myBuildFn('Skip'), 'Skip')
+  t.true(runSpy.callCount === 3)
+
+  // Cached errors expire
+  class MyExpiringBuildFn extends MyBuildFn {
+    static get errorMaxAge () { return 1000 }
+  }
+  const myExpiringBuildFn =
+    new MyExpiringBuildFn({ cachePath: t.context.cachePath })
+  const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] })
+  t.context.restoreClock = () => clock.restore()
+  await t.throws(myExpiringBuildFn('Expire'), 'Expire')
+  await t.throws(myExpiringBuildFn('Expire'), 'Expire')
+  t.true(runSpy.callCount === 4)
+  clock.tick(1000)
+  await t.throws(myExpiringBuildFn('Expire'), 'Expire')
+  t.true(runSpy.callCount === 5)
+})
+
+test('retries transient errors', async t => {
+  let failureCount = 2
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get retries () { return 2 }
+    static get retryDelay () { return 1 }
+    static async run () {
+      runSpy()
+      if (failureCount-- > 0) {
+        throw Object.assign(new Error('Busy'), { code: 'EBUSY' })
+      }
+      return 'Done'
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  t.true(await myBuildFn() === 'Done')
+  t.true(runSpy.callCount === 3)
+
+  // Transient errors aren't cached after the last attempt
+  class MyFailingBuildFn extends MyBuildFn {
+    static get retries () { return 0 }
+  }
+  const myFailingBuildFn = new MyFailingBuildFn({
+    storage: new CachedBuildFunction.MemoryStorage()
+  })
+  failureCount = 1
+  await t.throws(myFailingBuildFn(), 'Busy')
+  t.true(await myFailingBuildFn() === 'Done')
+})
+
+test('rejects with TimeoutError if run() takes too long', async t => {
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get timeout () { return 10 }
+    static async run (delay) {
+      runSpy(delay)
+      await new Promise(resolve => setTimeout(resolve, delay))
+      return delay
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  const { TimeoutError } = CachedBuildFunction
+  const error = await t.throws(myBuildFn(100), TimeoutError)
+  t.true(error.code === 'ERUNTIMEOUT')
+  t.true(await myBuildFn.withOptions({ timeout: 200 })(100) === 100)
+  t.true(runSpy.callCount === 2) // Timeouts aren't cached
+
+  // The slot is kept until run() has finished
+  const myLimitedBuildFn = new MyBuildFn({
+    cachePath: t.context.cachePath,
+    concurrency: 1
+  })
+  const startTime = Date.now()
+  await t.throws(myLimitedBuildFn(80), TimeoutError)
+  t.true(await myLimitedBuildFn(0) === 0)
+  t.true(Date.now() - startTime >= 70)
+
+  // run() is told about the timeout through its signal
+  let abortedSignal
+  class Stoppable extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get timeout () { return 10 }
+    static run () {
+      return new Promise((resolve, reject) => {
+        this.signal.addEventListener('abort', () => {
+          abortedSignal = this.signal
+          reject(new Error('Stopped'))
+        })
+      })
+    }
+  }
+  const stoppable = new Stoppable({
+    cachePath: t.context.cachePath,
+    concurrency: 1
+  })
+  await t.throws(stoppable(), TimeoutError)
+  t.true(abortedSignal.aborted)
+  await t.throws(stoppable(), TimeoutError) // Got the slot back
+})
+
+// Serial, because it fakes the clock
+test.serial('treats expired cache entries as cache misses', async t => {
+  const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] })
+  t.context.restoreClock = () => clock.restore()
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (type) {
+      runSpy(type)
+      if (type === 'expiresIn') { this.expiresIn(1000) }
+      if (type === 'expiresAt') { this.expiresAt(new Date(Date.now() + 1000)) }
+      return type
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+  const callAll = () => {
+    return Promise.all(['expiresIn', 'expiresAt', 'never'].map(myBuildFn))
+  }
+
+  await callAll()
+  await callAll()
+  t.true(runSpy.callCount === 3)
+
+  clock.tick(1000)
+  await callAll()
+  t.true(runSpy.callCount === 5)
+  t.true(runSpy.calledWith('expiresAt'))
+
+  // Default maximum age
+  class MyShortLivedBuildFn extends MyBuildFn {
+    static get version () { return 2 }
+    static get maxAge () { return 1000 }
+  }
+  const myShortLivedBuildFn =
+    new MyShortLivedBuildFn({ cachePath: t.context.cachePath })
+  await myShortLivedBuildFn('never')
+  await myShortLivedBuildFn('never')
+  t.true(runSpy.callCount === 6)
+  clock.tick(1000)
+  await myShortLivedBuildFn('never')
+  t.true(runSpy.callCount === 7)
+})
+
+test('reports statistics', async t => {
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (delay) {
+      await new Promise(resolve => setTimeout(resolve, delay))
+      if (delay === 0) { throw new Error('Zero') }
+      return delay
+    }
+  }
+  const myBuildFn1 = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  await myBuildFn1(50)
+  await myBuildFn1(10)
+  await t.throws(myBuildFn1(0))
+
+  const stats1 = myBuildFn1.stats()
+  t.true(stats1.hits === 0)
+  t.true(stats1.misses === 3)
+  t.true(stats1.errors === 1)
+  t.true(stats1.timeSaved === 0)
+  t.true(stats1.runDuration >= 60)
+  t.deepEqual(stats1.keys.map(x => x.args), [[50], [10], [0]])
+
+  // The durations are stored in the cache entries
+  const myBuildFn2 = new MyBuildFn({ cachePath: t.context.cachePath })
+  await myBuildFn2(50)
+  await myBuildFn2(50)
+
+  const stats2 = myBuildFn2.stats()
+  t.true(stats2.hits === 2)
+  t.true(stats2.misses === 0)
+  t.true(stats2.runDuration === 0)
+  t.true(stats2.timeSaved === 2 * stats1.keys[0].duration)
+  t.true(stats2.keys[0].hits === 2)
+})
+
+test('stores metadata and looks up entries', async t => {
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 'v1' }
+    static cacheKey (a, b) { return [a] }
+    static async run (a, b) {
+      await outputFile(this.cachePath('file'), a)
+      if (a === 'x') { throw new Error('Bad input') }
+      return a.toUpperCase()
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  class Other extends MyBuildFn {}
+  const other = new Other({ cachePath: t.context.cachePath })
+
+  const startTime = Date.now()
+  await myBuildFn('a', 'ignored')
+  await myBuildFn('b', 'ignored')
+  await t.throws(myBuildFn('x', 'ignored'))
+  await other('z')
+
+  const entry = await myBuildFn.getEntry('a', 'another ignored')
+  t.true(entry.state === 'fulfilled')
+  t.true(entry.value === 'A')
+  t.true(entry.metadata.className === 'MyBuildFn')
+  t.true(entry.metadata.version === 'v1')
+  t.true(entry.metadata.input === '["a"]')
+  t.true(entry.metadata.createdAt >= startTime)
+  t.deepEqual(entry.metadata.artifacts, ['file'])
+
+  const errorEntry = await myBuildFn.getEntry('x')
+  t.true(errorEntry.state === 'rejected')
+  t.true(errorEntry.reason.message === 'Bad input')
+  t.true(await myBuildFn.getEntry('c') === undefined)
+
+  const entries = await myBuildFn.listEntries()
+  t.deepEqual(entries.map(x => x.metadata.input).sort(),
+              ['["a"]', '["b"]', '["x"]'])
+  t.deepEqual((await other.listEntries()).map(x => x.value), ['Z'])
+
+  // Without metadata
+  class NoMetadata extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get metadata () { return false }
+    static async run (a) { return a }
+  }
+  const noMetadata = new NoMetadata({ cachePath: t.context.cachePath })
+  await noMetadata('a')
+  t.true((await noMetadata.getEntry('a')).metadata === undefined)
+  t.deepEqual(await noMetadata.listEntries(), [])
+})
+
+test('watches observed files and calls again when they change', async t => {
+  const filePath = join(t.context.filesPath, 'file.txt')
+  const dirPath = join(t.context.filesPath, 'dir')
+  const laterPath = join(t.context.filesPath, 'later/deep/file.txt')
+  await outputFile(filePath, 'A')
+  await ensureDir(dirPath)
+
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get fingerprint () { return 'content' }
+    static async run (filePath, dirPath, laterPath) {
+      runSpy()
+      this.observe(laterPath)
+      const content = (await readFile(this.observe(filePath))).toString()
+      const names = await readdir(this.observeDir(dirPath))
+      return [content, ...names].join(',')
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  const next = watcher => Promise.race([
+    watcher.next(),
+    new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error('No result')), 5000)
+    })
+  ])
+
+  const watcher = myBuildFn.watch(filePath, dirPath, laterPath)
+  t.deepEqual(await next(watcher), {
+    value: { value: 'A', state: 'fulfilled' }, done: false
+  })
+
+  await outputFile(filePath, 'B')
+  t.true((await next(watcher)).value.value === 'B')
+
+  await outputFile(filePath, 'B') // Same content
+  await new Promise(resolve => setTimeout(resolve, 300))
+  t.true(runSpy.callCount === 2)
+
+  await outputFile(join(dirPath, 'new.txt'), '')
+  t.true((await next(watcher)).value.value === 'B,new.txt')
+
+  // Subdirectories
+  await outputFile(join(dirPath, 'sub/new.txt'), '')
+  t.true((await next(watcher)).value.value === 'B,new.txt,sub')
+  await outputFile(join(dirPath, 'sub/new.txt'), 'Changed')
+  await next(watcher)
+  t.true(runSpy.callCount === 5)
+
+  // Directory that didn't exist
+  await outputFile(laterPath, '')
+  await next(watcher)
+  t.true(runSpy.callCount === 6)
+
+  t.deepEqual(await watcher.return(), { value: undefined, done: true })
+  await outputFile(filePath, 'C')
+  await new Promise(resolve => setTimeout(resolve, 300))
+  t.true(runSpy.callCount === 6)
+  t.true((await watcher.next()).done)
+})
+
+test('observes environment variables, package versions and values', async t => {
+  const runSpy = sinon.spy()
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run () {
+      runSpy()
+      return [
+        this.observeEnv('CBF_TEST_MODE'),
+        await this.observePackageVersion('ava'),
+        await this.observePackageVersion('not-installed-package'),
+        this.observeValue('quality'),
+        this.observeValue('size', 10)
+      ]
+    }
+  }
+  const options = values => ({ cachePath: t.context.cachePath, values })
+
+  delete process.env.CBF_TEST_MODE
+  const { version } = require('ava/package.json')
+  let myBuildFn = new MyBuildFn(options({ quality: 80, size: 10 }))
+  t.deepEqual(await myBuildFn(), [undefined, version, null, 80, 10])
+  t.deepEqual(await myBuildFn(), [undefined, version, null, 80, 10])
+  t.true(runSpy.callCount === 1)
+
+  process.env.CBF_TEST_MODE = 'production'
+  t.true((await myBuildFn())[0] === 'production')
+  t.true(runSpy.callCount === 2)
+  await myBuildFn()
+  t.true(runSpy.callCount === 2)
+
+  myBuildFn = new MyBuildFn(options({ quality: 90, size: 10 }))
+  t.true((await myBuildFn())[3] === 90)
+  t.true(runSpy.callCount === 3)
+
+  myBuildFn = new MyBuildFn(options({ quality: 90 })) // Size missing
+  await t.throws(myBuildFn(), /"size" is missing/)
+  t.true(runSpy.callCount === 4)
+  await t.throws(myBuildFn(), /"size" is missing/) // Cached error
+  t.true(runSpy.callCount === 4)
+  myBuildFn = new MyBuildFn(options({ quality: 90, size: 10 }))
+  t.true((await myBuildFn())[4] === 10)
+  t.true(runSpy.callCount === 5)
+
+  // The order of object properties doesn't matter
+  myBuildFn = new MyBuildFn(options({ quality: { a: 1, b: 2 }, size: 10 }))
+  await myBuildFn()
+  t.true(runSpy.callCount === 6)
+  myBuildFn = new MyBuildFn(options({ quality: { b: 2, a: 1 }, size: 10 }))
+  await myBuildFn()
+  t.true(runSpy.callCount === 6)
+  delete process.env.CBF_TEST_MODE
+})
+
+test('explains cache misses', async t => {
+  const filePath = join(t.context.filesPath, 'file.txt')
+  await outputFile(filePath, 'A')
+
+  let version = 1
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return version }
+    static get fingerprint () { return 'content' }
+    static async run (path) { return (await readFile(this.observe(path))) }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  t.deepEqual((await myBuildFn.explain(filePath)).missReason,
+              { reason: 'noEntry' })
+  await myBuildFn(filePath)
+  const explanation = await myBuildFn.explain(filePath)
+  t.true(explanation.cacheHit)
+  t.true(typeof explanation.cacheKey === 'string')
+
+  await outputFile(filePath, 'B')
+  const checkedCacheSpy = sinon.spy()
+  await myBuildFn(filePath).on('checkedCache', checkedCacheSpy)
+  t.deepEqual(checkedCacheSpy.getCall(0).args[0], {
+    cacheHit: false,
+    missReason: {
+      reason: 'fileChanged',
+      path: filePath,
+      oldFingerprint: 'sha1:6dcd4ce23d88e2ee9568ba546c007c63d9131c1b',
+      newFingerprint: 'sha1:ae4f281df5a5d0ff3cad6371f76d5c29b6d953ec'
+    }
+  })
+
+  await remove(filePath)
+  t.deepEqual((await myBuildFn.explain(filePath)).missReason, {
+    reason: 'fileChanged',
+    path: filePath,
+    oldFingerprint: 'sha1:ae4f281df5a5d0ff3cad6371f76d5c29b6d953ec',
+    newFingerprint: null
+  })
+
+  version = 2
+  const { cacheKey: oldCacheKey } = explanation
+  t.deepEqual((await myBuildFn.explain(filePath)).missReason, {
+    reason: 'otherVersion', version: 1, cacheKey: oldCacheKey
+  })
+})
+
+test('flushes several instances together through a scheduler', async t => {
+  const { Scheduler } = CachedBuildFunction
+  const scheduler = new Scheduler({ concurrency: 1 })
+  let runningCount = 0
+  let maxRunningCount = 0
+  const trackRunning = async fn => {
+    runningCount++
+    maxRunningCount = Math.max(maxRunningCount, runningCount)
+    await new Promise(resolve => setTimeout(resolve, 10))
+    runningCount--
+    return fn()
+  }
+
+  class Double extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (a) { return trackRunning(() => a * 2) }
+  }
+  class AddOne extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (a) { return (await this.call(double, a)) + 1 }
+  }
+  const { cachePath } = t.context
+  const double = new Double({ cachePath, scheduler })
+  const addOne = new AddOne({ cachePath, scheduler })
+
+  await double(1)
+
+  double.enqueue(1)
+  double.enqueue(2)
+  addOne.enqueue(3)
+  t.true(scheduler.queuedCount === 3)
+
+  const checkedCacheSpy = sinon.spy()
+  const values = await scheduler.flush().on('checkedCache', checkedCacheSpy)
+  t.deepEqual(values, [2, 4, 7])
+  t.true(scheduler.queuedCount === 0)
+  t.true(maxRunningCount === 1)
+
+  const data = checkedCacheSpy.getCall(0).args[0]
+  t.true(data.count === 3)
+  t.true(data.cacheHitCount === 1)
+  t.true(data.cacheMissCount === 2)
+  t.true(data.functions.length === 2)
+  t.true(data.functions[0].buildFn === double)
+  t.true(data.functions[0].cacheHitCount === 1)
+  t.true(data.functions[1].buildFn === addOne)
+  t.true(data.functions[1].cacheMissCount === 1)
+})
+
+// `AbortController` needs Node.js 15 or later
+const abortTest = typeof AbortController === 'undefined' ? test.skip : test
+
+abortTest('aborts calls and rejects cleared queue items', async t => {
+  const { AbortError } = CachedBuildFunction
+  const runSpy = sinon.spy()
+  let started
+  const nextStart = () => new Promise(resolve => { started = resolve })
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (a) {
+      runSpy(a)
+      if (started) { started() }
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, 200)
+        if (this.signal) {
+          this.signal.addEventListener('abort', () => {
+            clearTimeout(timer)
+            reject(this.signal.reason || new Error('Aborted'))
+          })
+        }
+      })
+      return a
+    }
+  }
+  const myBuildFn = new MyBuildFn({ cachePath: t.context.cachePath })
+
+  // Clear queue
+  const promise1 = myBuildFn.enqueue(1)
+  const promise2 = myBuildFn.enqueue(2)
+  myBuildFn.clearQueue()
+  await t.throws(promise1, AbortError)
+  await t.throws(promise2, AbortError)
+  t.true(myBuildFn._currentlyRunningMap.size === 0)
+  t.true(myBuildFn.queuedCount === 0)
+  t.true(runSpy.callCount === 0)
+
+  // Direct call
+  let controller = new AbortController()
+  const startedPromise = nextStart()
+  const promise3 = myBuildFn.withOptions({ signal: controller.signal })(3)
+  startedPromise.then(() => controller.abort())
+  const error = await t.throws(promise3, AbortError)
+  t.true(error.code === 'ABORT_ERR')
+  t.true(runSpy.calledWith(3))
+  t.true(await myBuildFn.getEntry(3) === undefined) // Nothing written
+
+  // Flush
+  controller = new AbortController()
+  nextStart().then(() => controller.abort())
+  myBuildFn.enqueue(4)
+  myBuildFn.enqueue(5)
+  const flushPromise = myBuildFn.flush({
+    signal: controller.signal, promise: 'allSettled'
+  })
+  const results = await flushPromise
+  t.true(results.every(x => x.reason instanceof AbortError))
+  t.true(await myBuildFn.getEntry(4) === undefined)
+  t.true(myBuildFn._currentlyRunningMap.size === 0)
+
+  // Ignored promises don't cause unhandled rejections
+  myBuildFn.enqueue(7)
+  myBuildFn.clearQueue()
+  controller = new AbortController()
+  controller.abort()
+  myBuildFn.enqueue(8)
+  myBuildFn.flush({ signal: controller.signal, promise: false })
+  await new Promise(resolve => setTimeout(resolve, 50))
+
+  // Not aborted
+  t.true(await myBuildFn(6) === 6)
+
+  // The listeners are removed once the calls have settled
+  controller = new AbortController()
+  for (let i = 0; i < 15; i++) {
+    myBuildFn.withOptions({ signal: controller.signal }).enqueue(6)
+    await myBuildFn.flush({ signal: controller.signal })
+  }
+  await new Promise(resolve => setImmediate(resolve))
+  t.true(EventEmitter.getEventListeners(controller.signal, 'abort').length === 0)
+})
+
+test('reports the progress of flushed items', async t => {
+  class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 1 }
+    static get concurrency () { return 1 }
+    static async run (delay) {
+      await new Promise(resolve => setTimeout(resolve, delay))
+      if (delay === 0) { throw new Error('Zero') }
+      return delay
+    }
+  }
+  const storage = new CachedBuildFunction.MemoryStorage() // For run() order
+  const myBuildFn = new MyBuildFn({ storage })
+  await myBuildFn(1)
+
+  const startedSpy = sinon.spy()
+  const completedSpy = sinon.spy()
+  const failedSpy = sinon.spy()
+  for (let delay of [60, 1, 0, 20]) { myBuildFn.enqueue(delay) }
+  const iterator = myBuildFn.flush({ promise: 'iterator' })
+    .on('started', startedSpy)
+    .on('completed', completedSpy)
+    .on('failed', failedSpy)
+
+  const results = []
+  for (;;) {
+    const { value, done } = await iterator.next()
+    if (done) { break }
+    results.push(value)
+  }
+
+  // Completion order: The cache hit first, then the misses one after another
+  t.deepEqual(results.map(x => x.args), [[1], [60], [0], [20]])
+  t.true(results[1].value === 60)
+  t.true(results[2].reason.message === 'Zero')
+
+  t.true(startedSpy.callCount === 3) // Not for the cache hit
+  t.true(completedSpy.callCount === 3)
+  t.true(failedSpy.callCount === 1)
+
+  const firstStarted = startedSpy.getCall(0).args[0]
+  t.deepEqual(firstStarted.args, [60])
+  t.true(firstStarted.buildFn === myBuildFn)
+  t.true(firstStarted.runningCount === 1)
+  t.true(firstStarted.eta === undefined)
+
+  const lastCompleted = completedSpy.getCall(2).args[0]
+  t.true(lastCompleted.value === 20)
+  t.true(lastCompleted.count === 4)
+  t.true(lastCompleted.completedCount === 3)
+  t.true(lastCompleted.failedCount === 1)
+  t.true(lastCompleted.runningCount === 0)
+  t.true(lastCompleted.eta === 0)
+  t.true(completedSpy.getCall(1).args[0].eta > 0)
+})
+
+test('creates build functions without subclassing', async t => {
+  const runSpy = sinon.spy()
+  const addOne = CachedBuildFunction.create({
+    name: 'AddOne',
+    version: 1,
+    cacheKey: (a, label) => [a],
+    async run (a, label) {
+      runSpy(a)
+      this.observeEnv('CBF_CREATE_TEST')
+      return a + 1
+    },
+    async after (a, label) { return `${label}: ${this.value}` },
+    cacheErrors: false,
+    cachePath: t.context.cachePath
+  })
+
+  t.true(addOne instanceof CachedBuildFunction)
+  t.true(await addOne(1, 'x') === 'x: 2')
+  t.true(await addOne(1, 'y') === 'y: 2')
+  t.true(runSpy.callCount === 1)
+
+  addOne.enqueue(2, 'z')
+  t.deepEqual(await addOne.flush(), ['z: 3'])
+  t.true(runSpy.callCount === 2)
+
+  const entry = await addOne.getEntry(1)
+  t.true(entry.metadata.className === 'AddOne')
+  t.true(entry.metadata.input === '[1]')
+
+  await addOne.cleanUnused()
+
+  t.throws(() => CachedBuildFunction.create({ version: 1 }))
+  t.throws(() => CachedBuildFunction.create({ version: 1, run () {} }))
+  const otherFn = CachedBuildFunction.create({
+    namespace: 'Other',
+    version: 1,
+    run () {},
+    cachePath: t.context.cachePath
+  })
+  t.true(otherFn.constructor.name === 'Other')
+  t.true((await otherFn.explain(1)).cacheKey.startsWith('Other_'))
+})
+
+test('derives the version automatically if configured', async t => {
+  // AVA doesn't treat files in folders named "fixtures" as test files
+  const filesPath = join(t.context.filesPath, 'fixtures')
+  const buildFile = join(filesPath, 'build.js')
+  await outputFile(buildFile,
+    "import { double } from './helper'\nconst other = require('./other')\n")
+  await outputFile(join(filesPath, 'helper.js'),
+    "import './deep'\nexport const double = x => x * 2\n")
+  await outputFile(join(filesPath, 'deep.js'), 'export default 1\n')
+  await outputFile(join(filesPath, 'other.js'), 'module.exports = 1\n')
+
+  const runSpy = sinon.spy()
+  const double = x => x * 2
+  const makeClass = () => class MyBuildFn extends CachedBuildFunction {
+    static get version () { return 'auto' }
+    static get filename () { return buildFile }
+    static async run (a) { runSpy(); return double(a) }
+  }
+  const call = async () => {
+    const MyBuildFn = makeClass()
+    return new MyBuildFn({ cachePath: t.context.cachePath })(1)
+  }
+
+  t.true(await call() === 2)
+  t.true(await call() === 2)
+  t.true(runSpy.callCount === 1)
+
+  // Unused module
+  await outputFile(join(filesPath, 'other.js'), 'module.exports = 2\n')
+  await call()
+  t.true(runSpy.callCount === 1)
+
+  // Used module and its imports
+  await outputFile(join(filesPath, 'helper.js'),
+    "import './deep'\nexport const double = x => 2 * x\n")
+  await call()
+  t.true(runSpy.callCount === 2)
+  await outputFile(join(filesPath, 'deep.js'), 'export default 2\n')
+  await call()
+  t.true(runSpy.callCount === 3)
+  await call()
+  t.true(runSpy.callCount === 3)
+
+  // The source of run() itself
+  class OtherBuildFn extends makeClass() {
+    static async run (a) { runSpy(); return double(a) + 0 }
+  }
+  await new OtherBuildFn({ cachePath: t.context.cachePath })(1)
+  t.true(runSpy.callCount === 4)
+
+  // Without `filename`, the file that creates the instance is used
+  class NoFilename extends CachedBuildFunction {
+    static get version () { return 'auto' }
+    static async run (a) { return a }
+  }
+  const noFilename = new NoFilename({ cachePath: t.context.cachePath })
+  await noFilename(1)
+  const { version } = (await noFilename.getEntry(1)).metadata
+  t.true(/^auto:[0-9a-f]{40}$/.test(version))
+  t.true(callerFile(noFilename._creationStack) === __filename)
+})
+
+test('uses canonical cache keys and file contents', async t => {
+  const { filesPath } = t.context
+  const runSpy = sinon.spy()
+  class Describe extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (options, file) {
+      runSpy()
+      return file ? (await readFile(file.path)).toString() : options.a
+    }
+  }
+  const describe = new Describe({ cachePath: t.context.cachePath })
+
+  t.true(await describe({ a: 1, b: 2 }) === 1)
+  t.true(await describe({ b: 2, a: 1 }) === 1)
+  t.true(runSpy.callCount === 1)
+  t.true(await describe({ a: 1, b: Buffer.from('x') }) === 1)
+  t.true(runSpy.callCount === 2)
+
+  const { fileContent } = CachedBuildFunction
+  await outputFile(join(filesPath, 'a.txt'), 'A')
+  await outputFile(join(filesPath, 'copy.txt'), 'A')
+  t.true(await describe({}, fileContent(join(filesPath, 'a.txt'))) === 'A')
+  t.true(await describe({}, fileContent(join(filesPath, 'copy.txt'))) === 'A')
+  t.true(runSpy.callCount === 3)
+
+  await outputFile(join(filesPath, 'a.txt'), 'B')
+  t.true(await describe({}, fileContent(join(filesPath, 'a.txt'))) === 'B')
+  t.true(runSpy.callCount === 4)
+
+  // Calls with the same file content share the operation in progress
+  await outputFile(join(filesPath, 'copy.txt'), 'C')
+  const results = await Promise.all([
+    describe({}, fileContent(join(filesPath, 'copy.txt'))),
+    describe({}, fileContent(join(filesPath, 'copy.txt')))
+  ])
+  t.deepEqual(results, ['C', 'C'])
+  t.true(runSpy.callCount === 5)
+
+  const absentPath = join(filesPath, 'absent.txt')
+  await t.throws(describe({}, fileContent(absentPath)), /ENOENT/)
+  t.true((await describe.explain({}, fileContent(absentPath))).cacheHit)
+
+  t.throws(() => describe({ a: () => {} }), /function in a cache key/)
+})
+
+test('cleans up unused cache entries per namespace', async t => {
+  const { cachePath } = t.context
+  class Double extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (a) { return a * 2 }
+  }
+  class Square extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run (a) { return (await this.call(double, a)) ** 2 }
+  }
+  const listCacheKeys = async () => (await readdir(cachePath)).sort()
+  const double = new Double({ cachePath })
+  const square = new Square({ cachePath })
+
+  await double(1)
+  await double(2)
+  await square(3)
+  const cacheKeys = await listCacheKeys()
+  t.true(cacheKeys.length === 4)
+  t.true(cacheKeys.filter(x => x.startsWith('Double_')).length === 3)
+  t.true(cacheKeys.filter(x => x.startsWith('Square_')).length === 1)
+
+  // Whole folder, including entries without namespace, i.e. of older
+  // versions. The entry for `double(3)` is kept, because the entry for
+  // `square(3)` depends on it
+  const legacyPath = join(cachePath, 'a'.repeat(40) + '.json')
+  await outputFile(legacyPath, '{}')
+  const newDouble = new Double({ cachePath })
+  const newSquare = new Square({ cachePath })
+  await newDouble(1)
+  await newSquare(3)
+  await CachedBuildFunction.cleanUnused([newDouble, newSquare])
+  const doubleKey = async a => (await newDouble.explain(a)).cacheKey + '.json'
+  t.deepEqual(await listCacheKeys(), [
+    await doubleKey(1), await doubleKey(3), cacheKeys[3]
+  ].sort())
+
+  // Only its own namespace and entries without namespace. Entries that only
+  // the entries of other instances depend on aren't used by this one
+  await outputFile(legacyPath, '{}')
+  await newDouble.cleanUnused()
+  t.deepEqual(await listCacheKeys(), [await doubleKey(1), cacheKeys[3]])
+
+  t.throws(() => new Double({ cachePath, namespace: 1 }))
+  const renamed = new Double({ cachePath, namespace: 'double-v1' })
+  t.true((await renamed.explain(1)).cacheKey.startsWith('double_v1_'))
+})
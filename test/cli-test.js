@@ -0,0 +1,133 @@
+import { join } from 'path'
+import { ensureDir, outputFile, readdir, remove } from 'fs-extra'
+import test from 'ava'
+import CachedBuildFunction from '../lib/cached-build-function'
+import runCli from '../lib/cli/run-cli'
+
+test.before(async t => {
+  await remove(join(__dirname, 'cli-cache'))
+})
+
+let cachePathIndex = 0
+test.beforeEach(t => {
+  t.context.filesPath = join(__dirname, `cli-cache/files${cachePathIndex}`)
+  t.context.cachePath = join(__dirname, `cli-cache/test${cachePathIndex++}`)
+})
+
+test.after(async t => {
+  await remove(join(__dirname, 'cli-cache'))
+})
+
+async function cli (...argv) {
+  let stdout = ''
+  let stderr = ''
+  const exitCode = await runCli(argv, {
+    stdout: { write (text) { stdout += text } },
+    stderr: { write (text) { stderr += text } }
+  })
+  return { exitCode, stdout, stderr }
+}
+
+class ReadFile extends CachedBuildFunction {
+  static get version () { return 1 }
+  static async run (path) {
+    await outputFile(this.cachePath('copy'), 'Copy')
+    return { path, length: 42 }
+  }
+}
+
+test('lists, shows and verifies cache entries', async t => {
+  const { cachePath, filesPath } = t.context
+  const path = join(filesPath, 'a.txt')
+  await outputFile(path, 'A')
+
+  class ObserveFile extends ReadFile {
+    static async run (path) { this.observe(path); return super.run(path) }
+  }
+  const observeFile = new ObserveFile({ cachePath })
+  await observeFile(path)
+
+  const [cacheKey] = (await readdir(cachePath))
+    .filter(x => x.endsWith('.json'))
+    .map(x => x.split('.', 1)[0])
+
+  let result = await cli('ls', cachePath)
+  t.true(result.exitCode === 0)
+  t.true(result.stdout.includes(cacheKey))
+  t.true(result.stdout.includes('fulfilled  ObserveFile'))
+  t.true(result.stdout.includes(path))
+
+  result = await cli('show', cachePath, cacheKey.slice(0, 8))
+  t.true(result.exitCode === 0)
+  t.true(result.stdout.includes(`Key:          ${cacheKey}`))
+  t.true(result.stdout.includes('length: 42'))
+  t.true(result.stdout.includes('Class:        ObserveFile'))
+  t.true(result.stdout.includes(`Input:        ${JSON.stringify([path])}`))
+  t.true(result.stdout.includes('copy (sha1:'))
+
+  result = await cli('verify', cachePath)
+  t.true(result.exitCode === 0)
+  t.true(result.stdout.includes(`${cacheKey}  valid`))
+
+  await outputFile(path, 'Changed A')
+  result = await cli('verify', cachePath)
+  t.true(result.exitCode === 1)
+  t.true(result.stdout.includes(`${cacheKey}  outdated (${path} changed)`))
+
+  await remove(join(cachePath, `${cacheKey}-copy`))
+  result = await cli('verify', cachePath)
+  t.true(result.stdout.includes(`${cacheKey}  artifactMissing (copy)`))
+
+  // The environment of the build can't be checked
+  const envCachePath = join(cachePath, 'env')
+  class ObserveEnv extends CachedBuildFunction {
+    static get version () { return 1 }
+    static async run () { return this.observeEnv('CBF_CLI_TEST_MODE') }
+  }
+  process.env.CBF_CLI_TEST_MODE = 'production'
+  await new ObserveEnv({ cachePath: envCachePath })()
+  delete process.env.CBF_CLI_TEST_MODE
+  result = await cli('verify', envCachePath)
+  t.true(result.exitCode === 0)
+
+  // Artifacts without an entry, e.g. of a build in progress, have no age
+  await outputFile(join(envCachePath, 'Other_123-file'), 'File')
+  result = await cli('ls', envCachePath)
+  t.true(/Other_123 +4 B +-  incomplete/.test(result.stdout))
+})
+
+test('prunes and clears cache folders', async t => {
+  const { cachePath } = t.context
+  const readFile = new ReadFile({ cachePath })
+  await readFile('a')
+  await readFile('b')
+  await readFile('c')
+
+  let result = await cli('prune', cachePath, '--max-entries', '2')
+  t.true(result.exitCode === 0)
+  t.true(result.stdout.includes('Removed 1 entries'))
+  t.true((await readdir(cachePath)).length === 4) // 2 entries, 2 artifacts
+
+  result = await cli('clear', cachePath)
+  t.true(result.stdout.includes('Removed 2 entries'))
+  t.deepEqual(await readdir(cachePath), [])
+})
+
+test('reports invalid usage', async t => {
+  let result = await cli('ls', t.context.cachePath)
+  t.true(result.exitCode === 1)
+  t.true(result.stderr.includes('does not exist'))
+
+  await ensureDir(t.context.cachePath)
+  result = await cli('prune', t.context.cachePath)
+  t.true(result.exitCode === 1)
+  t.true(result.stderr.includes('Specify --max-size'))
+
+  result = await cli('prune', t.context.cachePath, '--max-size', '5 apples')
+  t.true(result.exitCode === 1)
+  t.true(result.stderr.includes('Invalid value "5 apples"'))
+
+  result = await cli('frobnicate', t.context.cachePath)
+  t.true(result.exitCode === 1)
+  t.true(result.stderr.includes('Unknown command "frobnicate"'))
+})
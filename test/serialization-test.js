@@ -0,0 +1,103 @@
+import test from 'ava'
+import serializeResult from '../lib/serialization/serialize-result'
+import deserializeResult from '../lib/serialization/deserialize-result'
+import encodeCacheKey from '../lib/serialization/encode-cache-key'
+
+function roundTrip (value, codecs) {
+  const text = serializeResult({ value, state: 'fulfilled' }, codecs)
+  return deserializeResult(text, codecs).value
+}
+
+test('round-trips values that JSON does not support', t => {
+  const value = {
+    undefined: undefined,
+    numbers: [NaN, Infinity, -Infinity, -0, 1.5],
+    buffer: Buffer.from('Hello'),
+    uint16Array: new Uint16Array([1, 2, 65535]),
+    float64Array: new Float64Array([0.5]),
+    arrayBuffer: new Uint8Array([1, 2, 3]).buffer,
+    date: new Date(2018, 3, 1),
+    regExp: /a+b/gi,
+    map: new Map([[1, 'one'], [{ a: 1 }, new Set(['x'])]]),
+    set: new Set([1, 'two', [3]]),
+    nested: [{ $: 'Looks encoded', v: 1 }, { $: { $: 2 } }]
+  }
+
+  const result = roundTrip(value)
+  t.deepEqual(result, value)
+  t.true(roundTrip(BigInt('12345678901234567890')) ===
+         BigInt('12345678901234567890'))
+  t.true('undefined' in result)
+  t.true(Object.is(result.numbers[3], -0))
+  t.true(Buffer.isBuffer(result.buffer))
+  t.true(result.uint16Array instanceof Uint16Array)
+  t.true(result.arrayBuffer instanceof ArrayBuffer)
+  t.true(result.date instanceof Date)
+  t.true(result.map instanceof Map)
+  t.true(result.set instanceof Set)
+})
+
+test('behaves like JSON for plain values', t => {
+  const value = {
+    a: 'string',
+    b: [1, true, null, () => {}],
+    c: { toJSON () { return 'json' } },
+    d: () => {}
+  }
+
+  t.deepEqual(roundTrip(value), JSON.parse(JSON.stringify(value)))
+
+  const circular = {}
+  circular.self = circular
+  t.throws(() => roundTrip(circular), TypeError)
+})
+
+test('round-trips values through custom codecs', t => {
+  class Point {
+    constructor (x, y) { this.x = x; this.y = y }
+  }
+  const codecs = [{
+    name: 'Point',
+    test: value => value instanceof Point,
+    serialize: point => [point.x, point.y],
+    deserialize: ([x, y]) => new Point(x, y)
+  }]
+
+  const result = roundTrip({ points: [new Point(1, 2)] }, codecs)
+  t.true(result.points[0] instanceof Point)
+  t.deepEqual(result.points[0], new Point(1, 2))
+
+  const text = serializeResult({ value: new Point(1, 2) }, codecs)
+  t.throws(() => deserializeResult(text))
+})
+
+test('encodes cache keys canonically', t => {
+  t.is(encodeCacheKey({ a: 1, b: [2, 3] }), encodeCacheKey({ b: [2, 3], a: 1 }))
+  t.is(encodeCacheKey(new Map([['a', 1], ['b', 2]])),
+       encodeCacheKey(new Map([['b', 2], ['a', 1]])))
+  t.is(encodeCacheKey(new Set([1, 2])), encodeCacheKey(new Set([2, 1])))
+  t.is(encodeCacheKey({ a: 1, b: undefined }), encodeCacheKey({ a: 1 }))
+
+  const distinct = [
+    [undefined], [null], [[1, 2]], [[2, 1]], [Buffer.from('ab')],
+    [Buffer.from('ba')], [new Uint8Array([1])], [{ type: 'Buffer' }],
+    [new Map([['a', 1]])], [{ a: 1 }], [new Set(['a'])], [['a']],
+    [{ $: 'undefined' }], [NaN], ['NaN'], [new Date(0)], [0]
+  ]
+  const encoded = distinct.map(x => encodeCacheKey(x))
+  t.is(new Set(encoded).size, distinct.length)
+})
+
+test('rejects values that cannot be encoded as cache key', t => {
+  let error = t.throws(() => encodeCacheKey([{ a: () => {} }], 'args'))
+  t.is(error.message, 'Cannot use a function in a cache key (at args[0].a)')
+
+  const circular = { b: [] }
+  circular.b.push(circular)
+  error = t.throws(() => encodeCacheKey(circular, 'args'))
+  t.is(error.message,
+    'Cannot use a value with circular structure in a cache key (at args.b[0])')
+
+  const shared = { x: 1 } // Repeated, but not circular
+  t.notThrows(() => encodeCacheKey([shared, shared]))
+})